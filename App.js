@@ -1,15 +1,25 @@
 // App.js
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import RegistrationScreen from './screens/RegisterFarmer';
 import BoundaryScreen from './screens/BoundaryCaptureScreen';
 import PloughingScreen from './screens/PloughingSession';
+import ImplementsScreen from './screens/ImplementsScreen';
+import SyncStatusScreen from './screens/SyncStatusScreen';
+import HistoryScreen from './screens/HistoryScreen';
+import SessionRecordScreen from './screens/SessionRecordScreen';
+import ReplayScreen from './screens/ReplayScreen';
+import TariffScreen from './screens/TariffScreen';
+import { startSyncLoop } from './utils/syncQueue';
 
 
 const Stack = createStackNavigator();
 
 export default function App() {
+  // Upload queued registrations and sessions whenever a connection is available
+  useEffect(() => startSyncLoop(), []);
+
   return (
     <NavigationContainer>
     
@@ -31,6 +41,36 @@ export default function App() {
           component={PloughingScreen}
           options={{ title: 'Ploughing Tracker' }}
         />
+        <Stack.Screen
+          name="Implements"
+          component={ImplementsScreen}
+          options={{ title: 'Implements' }}
+        />
+        <Stack.Screen
+          name="Sync"
+          component={SyncStatusScreen}
+          options={{ title: 'Sync Status' }}
+        />
+        <Stack.Screen
+          name="History"
+          component={HistoryScreen}
+          options={{ title: 'Session History' }}
+        />
+        <Stack.Screen
+          name="SessionRecord"
+          component={SessionRecordScreen}
+          options={{ title: 'Session Record' }}
+        />
+        <Stack.Screen
+          name="Replay"
+          component={ReplayScreen}
+          options={{ title: 'Track Replay' }}
+        />
+        <Stack.Screen
+          name="Tariff"
+          component={TariffScreen}
+          options={{ title: 'Hire Tariff' }}
+        />
         <Stack.Screen
           name="Testing"
           component={require('./screens/testing').default}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Polygon } from 'react-native-maps';
+
+export const COVERAGE_COLORS = {
+  single: 'rgba(16, 185, 129, 0.4)',
+  multi: 'rgba(239, 68, 68, 0.6)',
+};
+
+// Coverage from earlier sessions of the same job, drawn underneath
+export const PRIOR_COVERAGE_COLORS = {
+  single: 'rgba(107, 114, 128, 0.45)',
+  multi: 'rgba(107, 114, 128, 0.45)',
+};
+
+// Draws dissolved coverage shapes from coverageShapes() or a shape cache on
+// a MapView. Shapes with a `key` keep their polygon when the others change.
+export default function CoverageLayer({ shapes, colors = COVERAGE_COLORS }) {
+  if (!shapes) return null;
+  return (
+    <>
+      {shapes.single.map((shape, i) => (
+        <Polygon
+          key={shape.key || `single-${i}`}
+          coordinates={shape.coordinates}
+          holes={shape.holes}
+          fillColor={colors.single}
+          strokeWidth={0}
+        />
+      ))}
+      {shapes.multi.map((shape, i) => (
+        <Polygon
+          key={shape.key || `multi-${i}`}
+          coordinates={shape.coordinates}
+          holes={shape.holes}
+          fillColor={colors.multi}
+          strokeWidth={0}
+        />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Polygon } from 'react-native-maps';
+
+// Highlights missed areas from findGaps() on a MapView.
+export default function GapLayer({ gaps, selectedId }) {
+  return (
+    <>
+      {gaps.map(gap => gap.shapes.map((shape, i) => (
+        <Polygon
+          key={`gap-${gap.id}-${i}`}
+          coordinates={shape.coordinates}
+          holes={shape.holes}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3B82F6"
+          strokeWidth={gap.id === selectedId ? 3 : 1}
+          lineDashPattern={[4, 4]}
+        />
+      )))}
+    </>
+  );
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { compassPoint, formatGapArea } from '../utils/gaps';
+
+// Banner pointing to the missed area being targeted. The arrow is relative to
+// the direction of travel when a heading is known, otherwise to north.
+export default function GapNavigator({ route, heading, count, onPress }) {
+  if (!count) return null;
+  const rotation = route ? route.bearing - (Number.isFinite(heading) ? heading : 0) : 0;
+  return (
+    <TouchableOpacity style={styles.container} onPress={onPress} activeOpacity={0.8}>
+      {route && (
+        <Text style={[styles.arrow, { transform: [{ rotate: `${rotation}deg` }] }]}>⬆</Text>
+      )}
+      <View style={styles.details}>
+        <Text style={styles.title}>
+          {route
+            ? `Missed ${route.gap.kind} ${Math.round(route.distance)} m ${compassPoint(route.bearing)}`
+            : 'Missed areas found'}
+        </Text>
+        <Text style={styles.subtitle}>
+          {route ? `${formatGapArea(route.gap.area)} • ` : ''}{count} {count === 1 ? 'gap' : 'gaps'} in total • tap to list
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EFF6FF',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginTop: 12,
+  },
+  arrow: {
+    fontSize: 24,
+    color: '#3B82F6',
+    marginRight: 12,
+  },
+  details: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1E40AF',
+  },
+  subtitle: {
+    fontSize: 12,
+    color: '#3B82F6',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,97 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatCrossTrack } from '../utils/guidance';
+
+// Off-line distance at which the indicator turns amber and red.
+const WARN_OFFSET = 0.3;
+const ALERT_OFFSET = 0.8;
+
+export function CrossTrackIndicator({ crossTrack }) {
+  if (crossTrack === null) return null;
+  const distance = Math.abs(crossTrack);
+  const color = distance < WARN_OFFSET ? '#10B981' : distance < ALERT_OFFSET ? '#F59E0B' : '#EF4444';
+  const steer = distance < 0.1 ? '⬆️' : crossTrack > 0 ? '⬅️ steer left' : 'steer right ➡️';
+  return (
+    <View style={[styles.indicator, { borderColor: color }]}>
+      <Text style={[styles.indicatorValue, { color }]}>{formatCrossTrack(crossTrack)}</Text>
+      <Text style={styles.indicatorHint}>{steer}</Text>
+    </View>
+  );
+}
+
+export default function GuidanceControls({ pointA, pointB, onSetA, onSetB, onUseEdge, onClear }) {
+  const GuideButton = ({ title, onPress, done }) => (
+    <TouchableOpacity
+      style={[styles.button, done && styles.buttonDone]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.buttonText, done && styles.buttonTextDone]}>{title}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>AB Line</Text>
+      <GuideButton title="Set A" onPress={onSetA} done={!!pointA} />
+      <GuideButton title="Set B" onPress={onSetB} done={!!pointB} />
+      <GuideButton title="Edge" onPress={onUseEdge} />
+      {(pointA || pointB) && <GuideButton title="Clear" onPress={onClear} />}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginRight: 4,
+  },
+  button: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  buttonDone: {
+    backgroundColor: '#DCFCE7',
+  },
+  buttonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  buttonTextDone: {
+    color: '#10B981',
+  },
+  indicator: {
+    alignSelf: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 3,
+    borderRadius: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  indicatorValue: {
+    fontSize: 22,
+    fontWeight: '800',
+  },
+  indicatorHint: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { MOTION_LABELS } from '../utils/motionClassifier';
+
+const MODE_LABELS = {
+  auto: 'Implement: Auto',
+  down: 'Implement: Down ⬇️',
+  up: 'Implement: Up ⬆️',
+};
+
+// Current motion label and the implement up/down override.
+export default function MotionStatus({ motion, active, implementMode, onToggle }) {
+  const { label, color } = MOTION_LABELS[motion];
+  return (
+    <View style={styles.container}>
+      <View style={styles.motion}>
+        <View style={[styles.dot, { backgroundColor: active ? color : '#D1D5DB' }]} />
+        <Text style={[styles.motionText, active && { color }]}>{active ? label : 'Not tracking'}</Text>
+      </View>
+      <TouchableOpacity
+        style={[styles.toggle, implementMode !== 'auto' && styles.toggleManual]}
+        onPress={onToggle}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.toggleText}>{MODE_LABELS[implementMode]}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  motion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  motionText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#6B7280',
+  },
+  toggle: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  toggleManual: {
+    backgroundColor: '#FEF3C7',
+  },
+  toggleText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+});
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { getQueue, subscribe, SYNC_STATUS } from '../utils/syncQueue';
+
+export const STATUS_STYLE = {
+  [SYNC_STATUS.pending]: { icon: '⏳', label: 'Pending', color: '#F59E0B', background: '#FEF3C7' },
+  [SYNC_STATUS.failed]: { icon: '⚠️', label: 'Failed', color: '#EF4444', background: '#FEE2E2' },
+  [SYNC_STATUS.synced]: { icon: '✅', label: 'Synced', color: '#10B981', background: '#DCFCE7' },
+};
+
+// Compact summary of the outbound queue; tapping it opens the Sync screen.
+export default function SyncBadge({ onPress, style }) {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    getQueue().then(setRecords);
+    return subscribe(setRecords);
+  }, []);
+
+  const failed = records.filter(r => r.status === SYNC_STATUS.failed).length;
+  const pending = records.filter(r => r.status === SYNC_STATUS.pending).length;
+  const status = failed ? SYNC_STATUS.failed : pending ? SYNC_STATUS.pending : SYNC_STATUS.synced;
+  const { icon, color, background } = STATUS_STYLE[status];
+  const text = failed || pending
+    ? `${failed + pending} to sync`
+    : 'All synced';
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, { backgroundColor: background }, style]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.badgeText, { color }]}>{icon} {text}</Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+});
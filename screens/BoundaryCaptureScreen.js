@@ -8,15 +8,42 @@ import {
   ActivityIndicator, 
   Animated,
   Dimensions,
-  SafeAreaView
+  SafeAreaView,
+  Modal,
+  ScrollView
 } from 'react-native';
-import MapView, { Polygon, Marker } from 'react-native-maps';
-import * as turf from '@turf/turf';
+import MapView, { Polygon, Polyline, Marker } from 'react-native-maps';
+import Slider from '@react-native-community/slider';
 import * as Location from 'expo-location';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadSavedFields, saveField } from '../utils/sessionStore';
+import { createLocationFilter, FILTER_PRESETS } from '../utils/locationFilter';
+import { importBoundaryFile } from '../utils/boundaryImport';
+import { simplifyPath, distanceMeters, WALK_SPACING, DEFAULT_TOLERANCE } from '../utils/simplify';
+import { findCrossings, untangleRing, removeCrossingVertices } from '../utils/boundaryRepair';
+import { fieldGeometry, ringLabel, RING_KIND } from '../utils/fieldGeometry';
+import { SQM_PER_ACRE } from '../utils/units';
 
 const { width, height } = Dimensions.get('window');
 
+// A held point may shift this far on screen and still count as a long
+// press that deletes it rather than a drag
+const DELETE_SLOP = 12; // px
+
+// Handles for inserting a point halfway along each edge
+const edgeMidpoints = (coords) => {
+  if (coords.length < 2) return [];
+  const edges = coords.length < 3 ? 1 : coords.length;
+  return Array.from({ length: edges }, (_, i) => {
+    const a = coords[i];
+    const b = coords[(i + 1) % coords.length];
+    return {
+      index: i + 1,
+      coordinate: { latitude: (a.latitude + b.latitude) / 2, longitude: (a.longitude + b.longitude) / 2 },
+    };
+  });
+};
+
 export default function BoundaryScreen({ route, navigation }) {
   const { farmer } = route.params;
   const mapRef = useRef(null);
@@ -24,12 +51,38 @@ export default function BoundaryScreen({ route, navigation }) {
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
   const [region, setRegion] = useState(null);
-  const [coords, setCoords] = useState([]);
+  // Outer boundaries and exclusion zones; every editing tool works on the
+  // active ring through `coords` / `setCoords`
+  const [rings, setRings] = useState([{ kind: RING_KIND.part, coords: [] }]);
+  const [active, setActive] = useState(0);
+  const coords = rings[active]?.coords || [];
+  const setCoords = (update) => {
+    setRings(prev => prev.map((ring, i) => (
+      i === active ? { ...ring, coords: typeof update === 'function' ? update(ring.coords) : update } : ring
+    )));
+  };
   const [area, setArea] = useState(0);
+  const [issues, setIssues] = useState([]);
   const [mode, setMode] = useState('manual');
   const [autoCapturing, setAutoCapturing] = useState(false);
   const [saving, setSaving] = useState(false);
   const [gpsAccuracy, setGpsAccuracy] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [imported, setImported] = useState(null);
+  const [savedFields, setSavedFields] = useState([]);
+  const [fieldsVisible, setFieldsVisible] = useState(false);
+  // The point being dragged and where it is now; only its two edges follow
+  // it until it is dropped
+  const [dragPreview, setDragPreview] = useState(null);
+  const [markerVersion, setMarkerVersion] = useState(0);
+  // Auto walk: the raw track while walking, kept afterwards so the
+  // tolerance can be changed until the points are edited by hand
+  const walkRef = useRef(null);
+  const [walkTrack, setWalkTrack] = useState([]);
+  const [walk, setWalk] = useState(null);
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+  const [crossings, setCrossings] = useState([]);
+  const [repair, setRepair] = useState(null);
 
   // Pulse animation for auto capture
   useEffect(() => {
@@ -57,13 +110,22 @@ export default function BoundaryScreen({ route, navigation }) {
   useEffect(() => {
     AsyncStorage.getItem('lastBoundary').then(data => {
       if (data) {
-        const { coords, area } = JSON.parse(data);
-        setCoords(coords);
-        setArea(area);
+        const draft = JSON.parse(data);
+        // Drafts saved before exclusion zones hold a single ring
+        setRings(draft.rings || [{ kind: RING_KIND.part, coords: draft.coords }]);
+        setActive(0);
+        setArea(draft.area);
       }
     });
   }, []);
 
+  // Fields mapped before, which can be ploughed again without re-mapping
+  useEffect(() => {
+    loadSavedFields(farmer.id)
+      .then(setSavedFields)
+      .catch(e => console.error('Saved fields load error:', e));
+  }, [farmer.id]);
+
   // Get user location
   useEffect(() => {
     (async () => {
@@ -84,53 +146,117 @@ export default function BoundaryScreen({ route, navigation }) {
     return () => locationSub.current?.remove?.();
   }, []);
 
-  // Calculate area & check shape validity
+  // Calculate area & check shape validity. Crossings in the active ring are
+  // marked on the map rather than alerted; the area leaves out exclusion
+  // zones.
   useEffect(() => {
-    if (coords.length >= 3) {
-      const ring = coords.map(c => [c.longitude, c.latitude]);
-      ring.push(ring[0]);
-      const polygon = turf.polygon([ring]);
-      const kinks = turf.kinks(polygon);
-      if (kinks.features.length > 0) {
-        Alert.alert('Invalid Shape', 'Boundary lines are crossing. Please adjust your boundary.');
-        setArea(0);
-        return;
-      }
-      const sqm = turf.area(polygon);
-      setArea(sqm / 4046.8564224); // acres
-      AsyncStorage.setItem('lastBoundary', JSON.stringify({ coords, area: sqm / 4046.8564224 }));
-    } else {
-      setArea(0);
+    setCrossings(findCrossings(coords));
+    setRepair(null);
+    const field = fieldGeometry(rings);
+    setArea(field.area);
+    setIssues(field.issues);
+    if (rings.some(ring => ring.coords.length > 0)) {
+      AsyncStorage.setItem('lastBoundary', JSON.stringify({ rings, area: field.area }));
     }
-  }, [coords]);
+  }, [rings, active]);
+
+  // Hand edits replace the simplified walk, so re-simplifying would undo them
+  const editCoords = (update) => {
+    setWalk(null);
+    setCoords(update);
+  };
 
   const addPoint = (pt) => {
-    setCoords(prev => [...prev, pt]);
+    editCoords(prev => [...prev, pt]);
   };
 
-  const onMapPress = ({ nativeEvent: { coordinate } }) => {
+  const onMapPress = ({ nativeEvent: { coordinate, action } }) => {
+    // iOS also reports taps on markers as map presses
+    if (action === 'marker-press') return;
     if (mode === 'manual') addPoint(coordinate);
   };
 
-  const prevHeadingRef = useRef(null);
+  const moveVertex = (index, coordinate) => {
+    editCoords(prev => prev.map((pt, i) => (i === index ? coordinate : pt)));
+  };
+
+  const insertVertex = (index, coordinate) => {
+    editCoords(prev => [...prev.slice(0, index), coordinate, ...prev.slice(index)]);
+  };
+
+  const removeVertex = (index) => {
+    Alert.alert('Remove Point', `Delete point ${index + 1} from the boundary?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => editCoords(prev => prev.filter((_, i) => i !== index)) },
+    ]);
+  };
+
+  // The marker itself is left to the map while it is dragged; writing its
+  // coordinate back on every move makes it jitter on Android
+  const onVertexDrag = (index, { nativeEvent: { coordinate } }) => {
+    setDragPreview({ index, coordinate });
+  };
+
+  // Markers start dragging on a long press, so a drop within a few pixels
+  // of where the point was is the long press that deletes it
+  const onVertexDragEnd = async (index, { nativeEvent: { coordinate } }) => {
+    setDragPreview(null);
+    const [from, to] = await Promise.all([
+      mapRef.current.pointForCoordinate(coords[index]),
+      mapRef.current.pointForCoordinate(coordinate),
+    ]);
+    if (Math.hypot(to.x - from.x, to.y - from.y) < DELETE_SLOP) {
+      // Put the marker back where the point still is
+      setMarkerVersion(v => v + 1);
+      removeVertex(index);
+      return;
+    }
+    moveVertex(index, coordinate);
+  };
+
+  // The edges either side of the point being dragged
+  const dragEdges = () => {
+    if (!dragPreview) return null;
+    const { index, coordinate } = dragPreview;
+    const closed = coords.length >= 3;
+    const previous = index > 0 ? coords[index - 1] : closed ? coords[coords.length - 1] : null;
+    const next = index < coords.length - 1 ? coords[index + 1] : closed ? coords[0] : null;
+    return [previous, coordinate, next].filter(Boolean);
+  };
+
+  // A walk started from scratch is a closed loop; one that continues
+  // existing points is simplified as an open line after them
+  const applyWalk = (current, value) => {
+    const closed = current.base.length === 0;
+    setCoords([...current.base, ...simplifyPath(current.track, value, { closed })]);
+  };
+
+  const onToleranceChange = (value) => {
+    setTolerance(value);
+    if (walk) applyWalk(walk, value);
+  };
+
+  const locationFilter = useRef(createLocationFilter(FILTER_PRESETS.walking));
   const startAuto = async () => {
     if (autoCapturing) return;
     setAutoCapturing(true);
-    prevHeadingRef.current = null;
+    setWalk(null);
+    walkRef.current = { base: coords, track: [] };
+    setWalkTrack([]);
+    locationFilter.current.reset();
     locationSub.current = await Location.watchPositionAsync(
       { accuracy: Location.Accuracy.Highest, timeInterval: 800, distanceInterval: 0.4 },
       loc => {
-        if (!loc?.coords) return;
+        if (!loc?.coords || !walkRef.current) return;
         setGpsAccuracy(loc.coords.accuracy);
-        if (loc.coords.accuracy > 12) return;
-        const { latitude, longitude, heading } = loc.coords;
-        if (
-          prevHeadingRef.current === null ||
-          Math.abs(heading - prevHeadingRef.current) > 30
-        ) {
-          addPoint({ latitude, longitude });
-          prevHeadingRef.current = heading;
-        }
+        const fix = locationFilter.current.process(loc);
+        if (!fix) return;
+        const point = { latitude: fix.latitude, longitude: fix.longitude };
+        const { track } = walkRef.current;
+        const last = track[track.length - 1];
+        if (last && distanceMeters(last, point) < WALK_SPACING) return;
+        track.push(point);
+        setWalkTrack([...track]);
       }
     );
   };
@@ -138,31 +264,161 @@ export default function BoundaryScreen({ route, navigation }) {
   const stopAuto = () => {
     locationSub.current?.remove?.();
     setAutoCapturing(false);
+    const current = walkRef.current;
+    walkRef.current = null;
+    setWalkTrack([]);
+    if (current && current.track.length >= 2) {
+      setWalk(current);
+      applyWalk(current, tolerance);
+    }
   };
 
-  const undo = () => setCoords(c => c.slice(0, -1));
+  const undo = () => editCoords(c => c.slice(0, -1));
   const reset = () => { 
-    setCoords([]); 
+    setWalk(null);
+    setRings([{ kind: RING_KIND.part, coords: [] }]);
+    setActive(0);
     setArea(0); 
     AsyncStorage.removeItem('lastBoundary'); 
   };
 
+  const selectRing = (index) => {
+    stopAuto();
+    setWalk(null);
+    setActive(index);
+  };
+
+  const addRing = (kind) => {
+    stopAuto();
+    setWalk(null);
+    setMode('manual');
+    setRings(prev => [...prev, { kind, coords: [] }]);
+    setActive(rings.length);
+  };
+
+  const removeRing = (index) => {
+    if (rings.length === 1) return;
+    Alert.alert('Remove Ring', `Delete ${ringLabel(rings, index)} and its ${rings[index].coords.length} points?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          stopAuto();
+          setWalk(null);
+          setRings(prev => prev.filter((_, i) => i !== index));
+          setActive(current => (current > index ? current - 1 : Math.min(current, rings.length - 2)));
+        },
+      },
+    ]);
+  };
+
+  const loadImported = (candidate) => {
+    const apply = () => {
+      setImported(null);
+      setMode('manual');
+      setWalk(null);
+      setRings([
+        { kind: RING_KIND.part, coords: candidate.coords },
+        ...candidate.holes.map(hole => ({ kind: RING_KIND.exclusion, coords: hole })),
+      ]);
+      setActive(0);
+      mapRef.current?.fitToCoordinates(candidate.coords, {
+        edgePadding: { top: 240, right: 40, bottom: 420, left: 40 },
+        animated: true,
+      });
+    };
+    if (!rings.some(ring => ring.coords.length > 0)) {
+      apply();
+      return;
+    }
+    Alert.alert('Replace Boundary', 'Replace the points you have marked with the imported boundary?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Replace', style: 'destructive', onPress: apply },
+    ]);
+  };
+
+  const onImport = async () => {
+    stopAuto();
+    setImporting(true);
+    try {
+      const result = await importBoundaryFile();
+      if (!result) return;
+      const [only] = result.candidates;
+      // A single usable polygon goes straight onto the map
+      if (result.candidates.length === 1 && !only.issue) loadImported(only);
+      else setImported(result);
+    } catch (e) {
+      console.error('Boundary import error:', e);
+      Alert.alert('Import Failed', e.message || 'This file could not be read.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const previewUntangle = () => {
+    const result = untangleRing(coords);
+    if (!result) {
+      Alert.alert('Cannot Untangle', 'This boundary could not be split into a valid shape. Try removing points instead.');
+      return;
+    }
+    setRepair({ ...result, note: `Largest of ${result.parts} parts kept` });
+  };
+
+  const previewRemoval = () => {
+    const result = removeCrossingVertices(coords);
+    if (!result) {
+      Alert.alert('Cannot Remove Points', 'Removing the crossing points would leave fewer than 3 points.');
+      return;
+    }
+    const count = result.removed.length;
+    setRepair({ ...result, note: `${count} point${count === 1 ? '' : 's'} removed` });
+  };
+
+  const acceptRepair = () => {
+    editCoords(repair.coords);
+    setRepair(null);
+  };
+
   const onFinish = async () => {
-    if (coords.length < 3 || area === 0) {
+    const field = fieldGeometry(rings);
+    if (field.issues.length > 0) {
+      const [{ index, message }] = field.issues;
+      Alert.alert('Invalid Shape', `${ringLabel(rings, index)} ${message}. Fix it before continuing.`);
+      return;
+    }
+    if (!field.geometry || field.area === 0) {
       Alert.alert('Incomplete Boundary', 'Please mark at least 3 points to define your field boundary.');
       return;
     }
     setSaving(true);
-    const ring = coords.map(c => [c.longitude, c.latitude]);
-    ring.push(ring[0]);
-    const geojson = {
-      type: "Feature",
-      geometry: { type: "Polygon", coordinates: [ring] },
-      properties: { farmer }
-    };
+    // The first part stands in for the whole field where a single ring is
+    // needed
+    const mapped = rings.filter(ring => ring.coords.length > 0);
+    const boundaryCoords = mapped.find(ring => ring.kind === RING_KIND.part).coords;
+    let saved;
+    try {
+      saved = await saveField(farmer.id, { boundaryCoords, fieldArea: field.area, geometry: field.geometry });
+    } catch (e) {
+      console.error('Field save error:', e);
+      setSaving(false);
+      Alert.alert('Save Error', 'Unable to save the field on this device. Please try again.');
+      return;
+    }
     await AsyncStorage.removeItem('lastBoundary');
     setSaving(false);
-    navigation.replace('Plough', { farmer, boundaryCoords: coords, fieldArea: area, geojson });
+    openField(saved);
+  };
+
+  const openField = (field) => {
+    setFieldsVisible(false);
+    navigation.replace('Plough', {
+      farmer,
+      boundaryCoords: field.boundaryCoords,
+      fieldArea: field.fieldArea,
+      geojson: { type: 'Feature', geometry: field.geometry, properties: { farmer, fieldId: field.id } },
+      fieldId: field.id,
+    });
   };
 
   const ModeButton = ({ title, isActive, onPress, icon }) => (
@@ -215,7 +471,24 @@ export default function BoundaryScreen({ route, navigation }) {
         onPress={onMapPress}
         mapType="satellite"
       >
-        {coords.length >= 2 && (
+        {rings.map((ring, i) => i !== active && ring.coords.length >= 2 && (
+          <Polygon
+            key={`ring-${i}`}
+            coordinates={ring.coords}
+            strokeColor={ring.kind === RING_KIND.exclusion ? '#EF4444' : '#10B981'}
+            fillColor={ring.kind === RING_KIND.exclusion ? 'rgba(239, 68, 68, 0.3)' : 'rgba(16, 185, 129, 0.2)'}
+            strokeWidth={2}
+          />
+        ))}
+        {coords.length >= 2 && rings[active].kind === RING_KIND.exclusion && (
+          <Polygon
+            coordinates={coords}
+            strokeColor="#EF4444"
+            fillColor="rgba(239, 68, 68, 0.3)"
+            strokeWidth={3}
+          />
+        )}
+        {coords.length >= 2 && rings[active].kind === RING_KIND.part && (
           <Polygon
             coordinates={coords}
             strokeColor="#10B981"
@@ -223,28 +496,79 @@ export default function BoundaryScreen({ route, navigation }) {
             strokeWidth={3}
           />
         )}
-        {coords.length > 0 && (
-          <Marker 
-            coordinate={coords[0]} 
-            pinColor="#F59E0B" 
-            title="Start Point"
-            description="First boundary point"
+        {repair && (
+          <Polygon
+            coordinates={repair.coords}
+            strokeColor="#3B82F6"
+            fillColor="rgba(59, 130, 246, 0.25)"
+            strokeWidth={3}
+            lineDashPattern={[8, 6]}
           />
         )}
+        {crossings.map(({ coordinate }, i) => (
+          <Marker
+            key={`crossing-${i}`}
+            coordinate={coordinate}
+            anchor={{ x: 0.5, y: 0.5 }}
+            tracksViewChanges={false}
+          >
+            <View style={styles.crossingMarker} />
+          </Marker>
+        ))}
+        {autoCapturing && walkTrack.length >= 2 && (
+          <Polyline coordinates={walkTrack} strokeColor="#F59E0B" strokeWidth={3} />
+        )}
+        {dragPreview && (
+          <Polyline coordinates={dragEdges()} strokeColor="#3B82F6" strokeWidth={3} lineDashPattern={[8, 6]} />
+        )}
         {coords.map((pt, i) => (
           <Marker 
-            key={i} 
+            key={`${i}-${markerVersion}`} 
             coordinate={pt} 
-            pinColor="#10B981"
-            title={`Point ${i + 1}`}
+            pinColor={i === 0 ? '#F59E0B' : rings[active].kind === RING_KIND.exclusion ? '#EF4444' : '#10B981'}
+            title={i === 0 ? 'Start Point' : `Point ${i + 1}`}
+            description={i === 0 ? 'First boundary point' : undefined}
+            draggable={!autoCapturing}
+            onDrag={(e) => onVertexDrag(i, e)}
+            onDragEnd={(e) => onVertexDragEnd(i, e)}
           />
         ))}
+        {!autoCapturing && edgeMidpoints(coords).map(({ index, coordinate }) => (
+          <Marker
+            key={`mid-${index}`}
+            coordinate={coordinate}
+            anchor={{ x: 0.5, y: 0.5 }}
+            onPress={() => insertVertex(index, coordinate)}
+            tracksViewChanges={false}
+          >
+            <View style={styles.midpointHandle} />
+          </Marker>
+        ))}
       </MapView>
 
       {/* Header Card */}
       <View style={styles.headerCard}>
-        <Text style={styles.headerTitle}>Field Boundary Mapping</Text>
-        <Text style={styles.headerSubtitle}>Farmer: {farmer.name}</Text>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerTitle}>Field Boundary Mapping</Text>
+          <TouchableOpacity
+            style={styles.importButton}
+            onPress={onImport}
+            disabled={importing}
+            activeOpacity={0.8}
+          >
+            {importing
+              ? <ActivityIndicator size="small" color="#10B981" />
+              : <Text style={styles.importButtonText}>📂 Import</Text>}
+          </TouchableOpacity>
+        </View>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerSubtitle}>Farmer: {farmer.name}</Text>
+          {savedFields.length > 0 && (
+            <TouchableOpacity style={styles.importButton} onPress={() => setFieldsVisible(true)} activeOpacity={0.8}>
+              <Text style={styles.importButtonText}>🗂️ Saved Fields ({savedFields.length})</Text>
+            </TouchableOpacity>
+          )}
+        </View>
         {gpsAccuracy && (
           <View style={styles.gpsIndicator}>
             <View style={[
@@ -279,18 +603,117 @@ export default function BoundaryScreen({ route, navigation }) {
         </Animated.View>
       </View>
 
+      {/* Crossing repair */}
+      {crossings.length > 0 && !autoCapturing && (
+        <View style={styles.repairCard}>
+          {repair ? (
+            <>
+              <Text style={styles.repairTitle}>Preview: {repair.area.toFixed(2)} acres</Text>
+              <Text style={styles.repairText}>{repair.note} • {repair.coords.length} points</Text>
+              <View style={styles.repairActions}>
+                <TouchableOpacity style={styles.repairButton} onPress={() => setRepair(null)} activeOpacity={0.8}>
+                  <Text style={styles.repairButtonText}>Discard</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.repairButton, styles.repairButtonPrimary]}
+                  onPress={acceptRepair}
+                  activeOpacity={0.8}
+                >
+                  <Text style={[styles.repairButtonText, styles.repairButtonTextPrimary]}>Accept</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={styles.repairTitle}>
+                ⚠️ Boundary crosses itself at {crossings.length} point{crossings.length === 1 ? '' : 's'}
+              </Text>
+              <Text style={styles.repairText}>Drag the points to fix it, or preview an automatic fix.</Text>
+              <View style={styles.repairActions}>
+                <TouchableOpacity style={styles.repairButton} onPress={previewUntangle} activeOpacity={0.8}>
+                  <Text style={styles.repairButtonText}>Untangle</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.repairButton} onPress={previewRemoval} activeOpacity={0.8}>
+                  <Text style={styles.repairButtonText}>Remove Points</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+      )}
+
       {/* Info Panel */}
       <View style={styles.infoPanel}>
         <View style={styles.areaDisplay}>
           <Text style={styles.areaLabel}>Field Area</Text>
           <Text style={styles.areaValue}>{area.toFixed(2)} acres</Text>
-          <Text style={styles.areaSubValue}>{(area * 4046.86).toFixed(0)} m²</Text>
+          <Text style={styles.areaSubValue}>{(area * SQM_PER_ACRE).toFixed(0)} m²</Text>
         </View>
 
         <View style={styles.pointsDisplay}>
           <Text style={styles.pointsLabel}>Boundary Points</Text>
-          <Text style={styles.pointsValue}>{coords.length}</Text>
+          <Text style={styles.pointsValue}>
+            {autoCapturing ? `${walkTrack.length} walked` : coords.length}
+          </Text>
         </View>
+        {walk && (
+          <View style={styles.simplifyPanel}>
+            <View style={styles.simplifyHeader}>
+              <Text style={styles.simplifyLabel}>Simplify tolerance</Text>
+              <Text style={styles.simplifyValue}>
+                {tolerance.toFixed(1)} m • {walk.track.length} → {coords.length - walk.base.length} points
+              </Text>
+            </View>
+            <Slider
+              style={styles.slider}
+              minimumValue={0.2}
+              maximumValue={5}
+              step={0.1}
+              value={tolerance}
+              onSlidingComplete={onToleranceChange}
+              minimumTrackTintColor="#10B981"
+              maximumTrackTintColor="#E5E7EB"
+              thumbTintColor="#10B981"
+            />
+          </View>
+        )}
+        {coords.length >= 2 && !autoCapturing && (
+          <Text style={styles.editHint}>Drag a point to move it • tap ○ to add one • hold a point to delete it</Text>
+        )}
+
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.ringRow}
+          contentContainerStyle={styles.ringRowContent}
+        >
+          {rings.map((ring, i) => (
+            <TouchableOpacity
+              key={i}
+              style={[
+                styles.ringChip,
+                ring.kind === RING_KIND.exclusion && styles.ringChipExclusion,
+                i === active && styles.ringChipActive,
+              ]}
+              onPress={() => selectRing(i)}
+              onLongPress={() => removeRing(i)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.ringChipText, i === active && styles.ringChipTextActive]}>
+                {ringLabel(rings, i)} ({ring.coords.length})
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.ringChip} onPress={() => addRing(RING_KIND.exclusion)} activeOpacity={0.8}>
+            <Text style={styles.ringChipText}>+ Exclusion</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.ringChip} onPress={() => addRing(RING_KIND.part)} activeOpacity={0.8}>
+            <Text style={styles.ringChipText}>+ Part</Text>
+          </TouchableOpacity>
+        </ScrollView>
+        {issues.map(({ index, message }) => (
+          <Text key={index} style={styles.ringIssue}>⚠️ {ringLabel(rings, index)} {message}</Text>
+        ))}
 
         <View style={styles.actionRow}>
           <ActionButton
@@ -325,7 +748,7 @@ export default function BoundaryScreen({ route, navigation }) {
         <TouchableOpacity
           style={[styles.finishButton, saving && styles.finishButtonDisabled]}
           onPress={onFinish}
-          disabled={saving || coords.length < 3}
+          disabled={saving || area === 0}
           activeOpacity={0.8}
         >
           <Text style={styles.finishButtonText}>
@@ -335,6 +758,84 @@ export default function BoundaryScreen({ route, navigation }) {
           }
         </TouchableOpacity>
       </View>
+
+      {/* Imported polygons */}
+      <Modal
+        visible={!!imported}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setImported(null)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Choose Boundary</Text>
+            <Text style={styles.modalSubtitle}>{imported?.fileName}</Text>
+            <ScrollView style={styles.modalList}>
+              {imported?.candidates.map((candidate, i) => {
+                // Crossing lines can be fixed on the map; nothing else can
+                const usable = candidate.area > 0;
+                return (
+                  <TouchableOpacity
+                    key={i}
+                    style={[styles.candidateOption, !usable && styles.candidateOptionDisabled]}
+                    onPress={() => loadImported(candidate)}
+                    disabled={!usable}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.candidateName}>{candidate.name}</Text>
+                    <Text style={styles.candidateDetail}>
+                      {candidate.area.toFixed(2)} acres • {candidate.coords.length} points
+                    </Text>
+                    {candidate.issue && <Text style={styles.candidateIssue}>⚠️ {candidate.issue}</Text>}
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            <TouchableOpacity style={styles.modalCancel} onPress={() => setImported(null)} activeOpacity={0.8}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Saved fields */}
+      <Modal
+        visible={fieldsVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setFieldsVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Saved Fields</Text>
+            <Text style={styles.modalSubtitle}>Plough a field mapped before</Text>
+            <ScrollView style={styles.modalList}>
+              {savedFields.map(field => (
+                <TouchableOpacity
+                  key={field.id}
+                  style={styles.candidateOption}
+                  onPress={() => openField(field)}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.candidateName}>{field.name}</Text>
+                  <Text style={styles.candidateDetail}>
+                    {field.fieldArea.toFixed(2)} acres • mapped {new Date(field.savedAt).toLocaleDateString()}
+                  </Text>
+                  {field.jobSessions > 0 && (
+                    <Text style={styles.candidateDetail}>
+                      Job in progress • {field.jobSessions} session{field.jobSessions === 1 ? '' : 's'}
+                    </Text>
+                  )}
+                  {field.unfinished && <Text style={styles.candidateIssue}>⏸️ Unfinished session</Text>}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity style={styles.modalCancel} onPress={() => setFieldsVisible(false)} activeOpacity={0.8}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -381,12 +882,30 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 8,
   },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   headerTitle: {
     fontSize: 18,
     fontWeight: '700',
     color: '#1F2937',
     marginBottom: 4,
   },
+  importButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    minWidth: 84,
+    alignItems: 'center',
+  },
+  importButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
   headerSubtitle: {
     fontSize: 14,
     color: '#6B7280',
@@ -415,6 +934,63 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
   },
+  repairCard: {
+    position: 'absolute',
+    top: 220,
+    left: 20,
+    right: 20,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#EF4444',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  repairTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  repairText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  repairActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  repairButton: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  repairButtonPrimary: {
+    backgroundColor: '#10B981',
+  },
+  repairButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  repairButtonTextPrimary: {
+    color: '#FFFFFF',
+  },
+  crossingMarker: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+    backgroundColor: '#EF4444',
+  },
   modeButton: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
@@ -499,6 +1075,78 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#10B981',
   },
+  simplifyPanel: {
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  simplifyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  simplifyLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  simplifyValue: {
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  slider: {
+    width: '100%',
+    height: 36,
+  },
+  editHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: -12,
+    marginBottom: 16,
+  },
+  midpointHandle: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: '#10B981',
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+  },
+  ringRow: {
+    flexGrow: 0,
+    marginBottom: 12,
+  },
+  ringRowContent: {
+    gap: 8,
+  },
+  ringChip: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#F3F4F6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  ringChipExclusion: {
+    borderColor: '#FECACA',
+  },
+  ringChipActive: {
+    backgroundColor: '#10B981',
+    borderColor: '#10B981',
+  },
+  ringChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  ringChipTextActive: {
+    color: '#FFFFFF',
+  },
+  ringIssue: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#EF4444',
+    marginBottom: 8,
+  },
   actionRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -560,4 +1208,67 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
-});
\ No newline at end of file
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalCard: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    maxHeight: height * 0.7,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1F2937',
+  },
+  modalSubtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  modalList: {
+    marginBottom: 16,
+  },
+  candidateOption: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  candidateOptionDisabled: {
+    opacity: 0.5,
+  },
+  candidateName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  candidateDetail: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  candidateIssue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#F59E0B',
+    marginTop: 4,
+  },
+  modalCancel: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  modalCancelText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
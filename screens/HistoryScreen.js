@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  SafeAreaView
+} from 'react-native';
+import { loadSessionHistory, syncStatusFor } from '../utils/sessionHistory';
+import { formatTime } from '../utils/format';
+import { getQueue, subscribe } from '../utils/syncQueue';
+import { STATUS_STYLE } from '../components/SyncBadge';
+
+export default function HistoryScreen({ navigation }) {
+  const [history, setHistory] = useState([]);
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => loadSessionHistory().then(setHistory);
+    refresh();
+    return navigation.addListener('focus', refresh);
+  }, [navigation]);
+
+  useEffect(() => {
+    getQueue().then(setQueue);
+    return subscribe(setQueue);
+  }, []);
+
+  const renderItem = ({ item }) => {
+    const status = STATUS_STYLE[syncStatusFor(queue, item.syncId)];
+    return (
+      <TouchableOpacity
+        style={styles.recordCard}
+        onPress={() => navigation.navigate('SessionRecord', { id: item.id })}
+        activeOpacity={0.8}
+      >
+        <View style={styles.recordHeader}>
+          <Text style={styles.recordTitle}>{item.farmerName} ({item.farmerId})</Text>
+          <View style={[styles.statusBadge, { backgroundColor: status.background }]}>
+            <Text style={[styles.statusBadgeText, { color: status.color }]}>
+              {status.icon} {status.label}
+            </Text>
+          </View>
+        </View>
+        <Text style={styles.recordDetail}>
+          Field {item.fieldId} • {new Date(item.startedAt).toLocaleString()}
+        </Text>
+        <Text style={styles.recordDetail}>
+          {formatTime(item.sessionTime)} • {item.ploughedArea.toFixed(2)} of {item.fieldArea.toFixed(2)} ac
+        </Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressBar, { width: `${Math.min(item.progress, 1) * 100}%` }]} />
+        </View>
+        <Text style={styles.progressText}>{(item.progress * 100).toFixed(1)}% complete</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Session History</Text>
+        <Text style={styles.subtitle}>
+          {history.length} recorded session{history.length === 1 ? '' : 's'} on this device
+        </Text>
+      </View>
+      <FlatList
+        data={history}
+        keyExtractor={item => item.id}
+        renderItem={renderItem}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={<Text style={styles.emptyText}>No ploughing sessions recorded yet.</Text>}
+      />
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  recordCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  recordHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  recordTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginRight: 8,
+  },
+  statusBadge: {
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  recordDetail: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  progressTrack: {
+    height: 6,
+    backgroundColor: '#E5E7EB',
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginTop: 10,
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: '#10B981',
+    borderRadius: 3,
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#6B7280',
+    marginTop: 40,
+    fontSize: 16,
+  },
+  footer: {
+    padding: 20,
+  },
+  secondaryButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  SafeAreaView
+} from 'react-native';
+import {
+  loadImplements,
+  saveImplements,
+  validateImplement
+} from '../utils/implements';
+
+const emptyForm = { name: '', width: '', antennaOffset: '0', minSpeed: '', maxSpeed: '' };
+
+const FormField = ({ label, value, onChangeText, keyboardType = 'decimal-pad' }) => (
+  <View style={styles.inputContainer}>
+    <Text style={styles.inputLabel}>{label}</Text>
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={onChangeText}
+      keyboardType={keyboardType}
+      placeholderTextColor="#9CA3AF"
+      placeholder={label}
+    />
+  </View>
+);
+
+export default function ImplementsScreen({ navigation }) {
+  const [profiles, setProfiles] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    loadImplements().then(setProfiles);
+  }, []);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const startEdit = (profile) => {
+    setEditingId(profile.id);
+    setForm({
+      name: profile.name,
+      width: String(profile.width),
+      antennaOffset: String(profile.antennaOffset),
+      minSpeed: String(profile.minSpeed),
+      maxSpeed: String(profile.maxSpeed),
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const persist = async (list) => {
+    setProfiles(list);
+    await saveImplements(list);
+  };
+
+  const onSave = async () => {
+    const profile = {
+      id: editingId || `impl-${Date.now()}`,
+      name: form.name.trim(),
+      width: parseFloat(form.width),
+      antennaOffset: parseFloat(form.antennaOffset || '0'),
+      minSpeed: parseFloat(form.minSpeed),
+      maxSpeed: parseFloat(form.maxSpeed),
+    };
+    const error = validateImplement(profile);
+    if (error) {
+      Alert.alert('Invalid Implement', error);
+      return;
+    }
+    const list = editingId
+      ? profiles.map(p => (p.id === editingId ? profile : p))
+      : [...profiles, profile];
+    await persist(list);
+    cancelEdit();
+  };
+
+  const onDelete = (profile) => {
+    if (profiles.length === 1) {
+      Alert.alert('Cannot Delete', 'At least one implement profile is required.');
+      return;
+    }
+    Alert.alert('Delete Implement', `Remove "${profile.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          if (editingId === profile.id) cancelEdit();
+          persist(profiles.filter(p => p.id !== profile.id));
+        },
+      },
+    ]);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.header}>
+          <Text style={styles.title}>Implements</Text>
+          <Text style={styles.subtitle}>Working width, antenna offset and speed range</Text>
+        </View>
+
+        {profiles.map(profile => (
+          <View key={profile.id} style={styles.profileCard}>
+            <View style={styles.profileInfo}>
+              <Text style={styles.profileName}>{profile.name}</Text>
+              <Text style={styles.profileDetail}>
+                {profile.width}m wide • offset {profile.antennaOffset}m • {profile.minSpeed}–{profile.maxSpeed} km/h
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.smallButton} onPress={() => startEdit(profile)}>
+              <Text style={styles.smallButtonText}>Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.smallButton, styles.smallButtonDanger]}
+              onPress={() => onDelete(profile)}
+            >
+              <Text style={[styles.smallButtonText, styles.smallButtonTextDanger]}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        <View style={styles.formCard}>
+          <Text style={styles.sectionTitle}>
+            {editingId ? '✏️ Edit Implement' : '➕ New Implement'}
+          </Text>
+          <FormField
+            label="Name"
+            value={form.name}
+            onChangeText={(value) => updateField('name', value)}
+            keyboardType="default"
+          />
+          <FormField
+            label="Working Width (m)"
+            value={form.width}
+            onChangeText={(value) => updateField('width', value)}
+          />
+          <FormField
+            label="Antenna Offset (m, right +)"
+            value={form.antennaOffset}
+            onChangeText={(value) => updateField('antennaOffset', value)}
+            keyboardType="numbers-and-punctuation"
+          />
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              <FormField
+                label="Min Speed (km/h)"
+                value={form.minSpeed}
+                onChangeText={(value) => updateField('minSpeed', value)}
+              />
+            </View>
+            <View style={styles.rowItem}>
+              <FormField
+                label="Max Speed (km/h)"
+                value={form.maxSpeed}
+                onChangeText={(value) => updateField('maxSpeed', value)}
+              />
+            </View>
+          </View>
+          <TouchableOpacity style={styles.saveButton} onPress={onSave} activeOpacity={0.8}>
+            <Text style={styles.saveButtonText}>{editingId ? 'Save Changes' : 'Add Implement'}</Text>
+          </TouchableOpacity>
+          {editingId && (
+            <TouchableOpacity style={styles.cancelButton} onPress={cancelEdit} activeOpacity={0.8}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.cancelButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.cancelButtonText}>Done</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingTop: 60,
+  },
+  header: {
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  profileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  profileInfo: {
+    flex: 1,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  profileDetail: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  smallButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 8,
+  },
+  smallButtonDanger: {
+    backgroundColor: '#FEE2E2',
+  },
+  smallButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  smallButtonTextDanger: {
+    color: '#EF4444',
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginTop: 8,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#374151',
+    marginBottom: 16,
+  },
+  inputContainer: {
+    marginBottom: 14,
+  },
+  inputLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1F2937',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  saveButton: {
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  cancelButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -8,31 +8,169 @@ import {
   Alert,
   Animated,
   Dimensions,
-  SafeAreaView
+  SafeAreaView,
+  Modal,
+  ScrollView,
+  Vibration
 } from 'react-native';
-import MapView, { Polygon } from 'react-native-maps';
+import MapView, { Polygon, Polyline, Marker } from 'react-native-maps';
 import * as Location from 'expo-location';
 import * as turf from '@turf/turf';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  loadImplements,
+  loadSelectedImplement,
+  saveSelectedImplement,
+  applyAntennaOffset
+} from '../utils/implements';
+import {
+  buildGrid,
+  applySegment,
+  createPassTracker,
+  createTally,
+  tallyTotals,
+  coveredArea,
+  coverageShapes,
+  createShapeCache,
+  headlandZones,
+  cellPositions,
+  cellsFromPositions,
+  boundaryFeature,
+  polygonShapes
+} from '../utils/coverage';
+import { EXPORT_FORMATS, exportSession } from '../utils/exportSession';
+import { enqueue } from '../utils/syncQueue';
+import SyncBadge from '../components/SyncBadge';
+import CoverageLayer, { PRIOR_COVERAGE_COLORS } from '../components/CoverageLayer';
+import { createLocationFilter, FILTER_PRESETS } from '../utils/locationFilter';
+import { createGuidance, boundaryEdges } from '../utils/guidance';
+import GuidanceControls, { CrossTrackIndicator } from '../components/GuidanceControls';
+import { findGaps, routeToGap, nearestGap, compassPoint, formatGapArea } from '../utils/gaps';
+import GapLayer from '../components/GapLayer';
+import GapNavigator from '../components/GapNavigator';
+import {
+  createMotionClassifier,
+  MOTION,
+  MOTION_LABELS,
+  IMPLEMENT_MODES,
+  emptyMotionTimes
+} from '../utils/motionClassifier';
+import MotionStatus from '../components/MotionStatus';
+import { saveSessionRecord } from '../utils/sessionHistory';
+import { formatTime } from '../utils/format';
+import { createGeofence, createExcursionLog, GEOFENCE } from '../utils/geofence';
+import { createWorkRate, RATE_WINDOW_MINUTES } from '../utils/workRate';
+import { loadTariff, computeCharge, formatMoney, shareReceipt } from '../utils/billing';
+import {
+  saveSessionSnapshot,
+  loadSessionSnapshot,
+  clearSessionSnapshot,
+  loadFieldSettings,
+  updateFieldSettings,
+  loadFieldCoverage,
+  saveFieldCoverage,
+  clearFieldCoverage
+} from '../utils/sessionStore';
 
-const ploughWidth = 2; // meters
 const { width, height } = Dimensions.get('window');
+const emptyOverlap = { overlapArea: 0, overlapPercent: 0, reworkedArea: 0, wastedDistance: 0, histogram: [] };
+const emptyZoneCoverage = { headland: 0, main: 0 };
+// Cells clipped by the zone edges mean a zone never quite reaches 100%
+const ZONE_COMPLETE = 0.98;
+const MAX_HEADLAND_WIDTH = 50; // meters
+const GAP_AREA_STEP = 10; // m²
+const MAX_FIX_GAP = 10; // s, longer signal gaps are not added to the motion times
+const MAX_EDGE_WARNING = 30; // meters
+const GEOFENCE_VIBRATION = [0, 400, 200, 400];
+const SNAPSHOT_INTERVAL = 15000; // ms between crash-recovery snapshots while ploughing
 
 export default function PloughingScreen({ route, navigation }) {
-  const { farmer, boundaryCoords, fieldArea, geojson } = route.params;
+  const { farmer, boundaryCoords, fieldArea, geojson, fieldId } = route.params;
   const mapRef = useRef();
   const pulseAnim = useRef(new Animated.Value(1)).current;
   const progressAnim = useRef(new Animated.Value(0)).current;
 
   const [region, setRegion] = useState(null);
-  const [gridCells, setGridCells] = useState([]);
+  const [grid, setGrid] = useState(null);
   const cellCounts = useRef(new Map());
-  const [ploughing, setPloughing] = useState(false);
+  const [shapes, setShapes] = useState(null);
+  const [restoredAt, setRestoredAt] = useState(null);
+  const restoredCells = useRef(null);
+  const shapeCache = useRef(null);
+  const shapesTimer = useRef(null);
+  const [sessionState, setSessionState] = useState('idle'); // idle | running | paused
+  const ploughing = sessionState === 'running';
+  const sessionActive = sessionState !== 'idle';
   const [ploughedArea, setPloughedArea] = useState(0);
   const [progress, setProgress] = useState(0);
   const [sessionTime, setSessionTime] = useState(0);
+  const [pausedTime, setPausedTime] = useState(0);
   const [speed, setSpeed] = useState(0);
+  const [overlap, setOverlap] = useState(emptyOverlap);
   const sessionStartTime = useRef(null);
+  const workedMs = useRef(0);
+  const runningSince = useRef(null);
+  const pauseStart = useRef(null);
+  const pauses = useRef([]);
+  const [implementList, setImplementList] = useState([]);
+  const [implement, setImplement] = useState(null);
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [exportVisible, setExportVisible] = useState(false);
+  const track = useRef([]);
+  const lastFix = useRef(null);
+  const [pointA, setPointA] = useState(null);
+  const [pointB, setPointB] = useState(null);
+  const [guideIndex, setGuideIndex] = useState(0);
+  const [crossTrack, setCrossTrack] = useState(null);
+  const edgeIndex = useRef(-1);
+  const [headlandWidth, setHeadlandWidth] = useState(0);
+  const [zoneCovered, setZoneCovered] = useState(emptyZoneCoverage);
+  const [mainCompletedAt, setMainCompletedAt] = useState(null);
+  const mainCompletedRef = useRef(null);
+  const [position, setPosition] = useState(null);
+  const [gaps, setGaps] = useState([]);
+  const [minGapArea, setMinGapArea] = useState(20);
+  const [selectedGapId, setSelectedGapId] = useState(null);
+  const [gapsVisible, setGapsVisible] = useState(false);
+  const [motion, setMotion] = useState(MOTION.idle);
+  const [motionTimes, setMotionTimes] = useState(emptyMotionTimes());
+  const motionTimesRef = useRef(emptyMotionTimes());
+  const [implementMode, setImplementMode] = useState('auto');
+  const implementModeRef = useRef('auto');
+  const [edgeWarningDistance, setEdgeWarningDistance] = useState(5);
+  const [fence, setFence] = useState({ state: GEOFENCE.inside, distance: null });
+  const [outOfField, setOutOfField] = useState({ time: 0, distance: 0 });
+  const excursionLog = useRef(createExcursionLog());
+  const fenceState = useRef(GEOFENCE.inside);
+  const workRate = useRef(createWorkRate());
+  const coveredRef = useRef(0);
+  const tally = useRef(null);
+  const priorIds = useRef(new Set());
+  const fieldJob = useRef({ sessions: [], startedAt: null });
+  const [prior, setPrior] = useState({ shapes: null, area: 0, sessions: 0 });
+  const [fieldCovered, setFieldCovered] = useState(0);
+  const [coverageVersion, setCoverageVersion] = useState(0);
+  const fieldProgress = Math.min(fieldCovered / fieldArea, 1);
+
+  // Reload implement profiles whenever we come back from the Implements screen
+  useEffect(() => {
+    const refresh = async () => {
+      const [list, selected] = await Promise.all([loadImplements(), loadSelectedImplement()]);
+      setImplementList(list);
+      setImplement(current => {
+        if (current) return list.find(p => p.id === current.id) || current;
+        return selected;
+      });
+    };
+    refresh();
+    return navigation.addListener('focus', refresh);
+  }, [navigation]);
+
+  const selectImplement = (profile) => {
+    setImplement(profile);
+    saveSelectedImplement(profile.id);
+    setPickerVisible(false);
+  };
 
   // Pulse animation for ploughing indicator
   useEffect(() => {
@@ -59,170 +197,761 @@ export default function PloughingScreen({ route, navigation }) {
   // Progress animation
   useEffect(() => {
     Animated.timing(progressAnim, {
-      toValue: progress,
+      toValue: fieldProgress,
       duration: 500,
       useNativeDriver: false,
     }).start();
-  }, [progress]);
+  }, [fieldProgress]);
+
+  // Working time only advances while running; pauses are timed separately
+  const workingSeconds = () => {
+    const running = runningSince.current ? Date.now() - runningSince.current : 0;
+    return Math.floor((workedMs.current + running) / 1000);
+  };
+
+  const pausedSeconds = () => {
+    const closed = pauses.current.reduce((sum, p) => sum + p.duration, 0);
+    const open = pauseStart.current ? (Date.now() - pauseStart.current) / 1000 : 0;
+    return Math.floor(closed + open);
+  };
 
   // Session timer
   useEffect(() => {
     let interval;
-    if (ploughing) {
+    if (sessionActive) {
       interval = setInterval(() => {
-        if (sessionStartTime.current) {
-          setSessionTime(Math.floor((Date.now() - sessionStartTime.current) / 1000));
-        }
+        setSessionTime(workingSeconds());
+        setPausedTime(pausedSeconds());
       }, 1000);
     }
     return () => clearInterval(interval);
-  }, [ploughing]);
+  }, [sessionActive]);
 
-  // Setup field grid
-  const turfBoundary = useMemo(() => {
-    const ring = boundaryCoords.map(c => [c.longitude, c.latitude]);
-    ring.push(ring[0]);
-    return turf.polygon([ring]);
-  }, [boundaryCoords]);
+  // Setup field grid. Exclusion zones are holes in the geometry, so they
+  // never get cells and drop out of the area and progress figures.
+  const turfBoundary = useMemo(
+    () => boundaryFeature(boundaryCoords, geojson?.geometry),
+    [boundaryCoords, geojson]
+  );
+  const fieldShapes = useMemo(() => polygonShapes(turfBoundary), [turfBoundary]);
 
   // Divide into grid
   useEffect(() => {
-    if (turfBoundary) {
-      const bbox = turf.bbox(turfBoundary);
-      const cellSize = ploughWidth / 1000 / 2; // km
-      const grid = turf.squareGrid(bbox, cellSize, { units:'kilometers' });
-      const inside = grid.features.filter(f => turf.booleanIntersects(f, turfBoundary));
-      setGridCells(inside.map((f,i)=> ({ id:i, feature:f })));
+    if (turfBoundary && implement) {
+      const built = buildGrid(turfBoundary, implement.width / 2);
+      shapeCache.current = createShapeCache(built);
+      setGrid(built);
     }
-  }, [turfBoundary]);
+  }, [turfBoundary, implement?.width]);
+
+  // Headland band along the boundary and the main zone inside it
+  useEffect(() => {
+    loadFieldSettings(fieldId).then(settings => {
+      setHeadlandWidth(settings.headlandWidth);
+      setMinGapArea(settings.minGapArea);
+      setEdgeWarningDistance(settings.edgeWarningDistance);
+    });
+  }, [fieldId]);
+
+  const zones = useMemo(
+    () => (grid ? headlandZones(grid, turfBoundary, headlandWidth) : null),
+    [grid, headlandWidth]
+  );
+  const zonesRef = useRef(null);
+  zonesRef.current = zones;
+
+  const changeEdgeWarning = (delta) => {
+    const next = Math.max(0, Math.min(MAX_EDGE_WARNING, edgeWarningDistance + delta));
+    setEdgeWarningDistance(next);
+    updateFieldSettings(fieldId, { edgeWarningDistance: next });
+  };
+
+  const changeHeadlandWidth = (delta) => {
+    const next = Math.max(0, Math.min(MAX_HEADLAND_WIDTH, headlandWidth + delta));
+    setHeadlandWidth(next);
+    updateFieldSettings(fieldId, { headlandWidth: next });
+  };
+
+  // Shows the running totals; the main zone is flagged complete once, so the
+  // operator knows to switch to the headland passes
+  const showTotals = (currentZones) => {
+    const totals = tallyTotals(tally.current, implement.width);
+    coveredRef.current = totals.covered;
+    setPloughedArea(totals.covered);
+    setProgress(Math.min(totals.covered / fieldArea, 1));
+    setFieldCovered(totals.fieldCovered);
+    setOverlap(totals.overlap);
+    setZoneCovered(totals.zones);
+    if (
+      currentZones &&
+      currentZones.headlandArea > 0 &&
+      currentZones.mainArea > 0 &&
+      !mainCompletedRef.current &&
+      totals.zones.main / currentZones.mainArea >= ZONE_COMPLETE
+    ) {
+      mainCompletedRef.current = Date.now();
+      setMainCompletedAt(mainCompletedRef.current);
+      Alert.alert('Main Zone Complete ✅', 'The inner field is done. Switch to the headland passes along the boundary.');
+    }
+  };
+
+  // Rebuilds the totals from scratch when the grid, zones or prior coverage change
+  const retally = (currentGrid, currentZones) => {
+    tally.current = createTally(currentGrid, cellCounts.current, {
+      headland: currentZones ? currentZones.headland : null,
+      prior: priorIds.current,
+    });
+    if (implement) showTotals(currentZones);
+  };
+
+  // Coverage from earlier sessions of the job on this field, on the current grid
+  const withPrior = () => {
+    if (!priorIds.current.size) return cellCounts.current;
+    const combined = new Map(cellCounts.current);
+    priorIds.current.forEach(id => {
+      if (!combined.has(id)) combined.set(id, 1);
+    });
+    return combined;
+  };
 
-  // Map region (center on field)
   useEffect(() => {
-    (async () => {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      if (status === 'granted') {
-        const loc = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Highest });
-        setRegion({ ...loc.coords, latitudeDelta: 0.003, longitudeDelta: 0.003 });
+    if (!grid) return;
+    loadFieldCoverage(fieldId).then(stored => {
+      priorIds.current = stored ? cellsFromPositions(grid, stored.cells, stored.cellSize) : new Set();
+      fieldJob.current = { sessions: stored?.sessions || [], startedAt: stored?.startedAt || null };
+      const priorCounts = new Map([...priorIds.current].map(id => [id, 1]));
+      setPrior({
+        shapes: priorCounts.size ? coverageShapes(grid, priorCounts) : null,
+        area: coveredArea(grid, priorCounts),
+        sessions: fieldJob.current.sessions.length,
+      });
+      retally(grid, zonesRef.current);
+    });
+  }, [grid, fieldId, coverageVersion]);
+
+  // Adds this session to the field's running total for the job
+  const saveToFieldCoverage = async (sessionId) => {
+    const ids = new Set([...priorIds.current, ...cellCounts.current.keys()]);
+    await saveFieldCoverage(fieldId, {
+      cellSize: grid.cellSize,
+      cells: cellPositions(grid, [...ids]),
+      sessions: [...fieldJob.current.sessions, sessionId],
+      startedAt: fieldJob.current.startedAt || new Date(sessionStartTime.current).toISOString(),
+    });
+    setCoverageVersion(v => v + 1);
+  };
+
+  const markJobComplete = () => {
+    Alert.alert(
+      'Mark Job Complete',
+      `Close the job on this field at ${(fieldProgress * 100).toFixed(1)}% over ${prior.sessions} session${prior.sessions === 1 ? '' : 's'}? The next session will start a new job.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Complete',
+          onPress: async () => {
+            try {
+              await enqueue('jobComplete', {
+                farmId: farmer.id,
+                farmerName: farmer.name,
+                fieldId,
+                fieldArea,
+                coveredArea: fieldCovered,
+                progress: fieldProgress,
+                sessions: fieldJob.current.sessions,
+                startedAt: fieldJob.current.startedAt,
+                completedAt: new Date().toISOString(),
+              }, `Job complete: ${farmer.name} (${farmer.id})`);
+            } catch (e) {
+              console.error('Job save error:', e);
+              Alert.alert('Save Error', 'Could not record the completed job on this device. Please try again.');
+              return;
+            }
+            await clearFieldCoverage(fieldId);
+            cellCounts.current.clear();
+            setRestoredAt(Date.now());
+            setCoverageVersion(v => v + 1);
+          },
+        },
+      ]
+    );
+  };
+
+  // Recompute totals once both the grid and any restored pass counts are in place.
+  // Restored counts are stored by row and column, so they wait for a grid
+  // with the cell size they were recorded at.
+  useEffect(() => {
+    if (implement && grid) {
+      const stored = restoredCells.current;
+      if (stored && stored.cellSize === grid.cellSize) {
+        restoredCells.current = null;
+        stored.positions.forEach(([row, col], i) => {
+          const id = grid.index[row * grid.cols + col];
+          if (id >= 0) cellCounts.current.set(id, stored.passes[i]);
+        });
       }
-    })();
+      retally(grid, zones);
+      shapeCache.current.reset();
+      setShapes(shapeCache.current.shapes(cellCounts.current));
+    }
+  }, [grid, zones, restoredAt]);
+
+  // Missed strips and patches. The headland is left out until the main zone
+  // is done, since it is meant to be ploughed last. The scan covers the whole
+  // field, so it runs when the operator asks, on pause and at finish rather
+  // than while fixes are coming in.
+  const analyseGaps = () => {
+    const covered = withPrior();
+    if (!grid || !covered.size) {
+      setGaps([]);
+      return [];
+    }
+    const skipHeadland = zones && zones.headlandArea > 0 && !mainCompletedRef.current;
+    const found = findGaps(grid, covered, {
+      minArea: minGapArea,
+      exclude: skipHeadland ? zones.headland : null,
+    });
+    setGaps(found);
+    return found;
+  };
+
+  useEffect(() => {
+    if (!ploughing) analyseGaps();
+  }, [grid, zones, restoredAt, minGapArea, mainCompletedAt, ploughing, prior]);
+
+  const showGaps = () => {
+    analyseGaps();
+    setGapsVisible(true);
+  };
+
+  const changeMinGapArea = (delta) => {
+    const next = Math.max(GAP_AREA_STEP, minGapArea + delta);
+    setMinGapArea(next);
+    updateFieldSettings(fieldId, { minGapArea: next });
+  };
+
+  // Head for the gap picked from the list, otherwise the nearest one
+  const gapRoute = useMemo(() => {
+    if (!grid || !position || !gaps.length) return null;
+    const selected = gaps.find(gap => gap.id === selectedGapId);
+    return selected ? routeToGap(grid, selected, position) : nearestGap(grid, gaps, position);
+  }, [grid, gaps, position, selectedGapId]);
+
+  // Redraw coverage at most twice a second, however fast fixes arrive;
+  // only the tiles around cells swept since the last redraw are re-traced
+  const scheduleShapes = (ids) => {
+    shapeCache.current.update(ids);
+    if (shapesTimer.current) return;
+    shapesTimer.current = setTimeout(() => {
+      shapesTimer.current = null;
+      setShapes(shapeCache.current.shapes(cellCounts.current));
+    }, 500);
+  };
+
+  useEffect(() => () => clearTimeout(shapesTimer.current), []);
+
+  // A-B guidance lines at implement spacing; the ref lets the GPS callback see updates
+  const guidance = useMemo(() => {
+    if (!pointA || !pointB || !implement) return null;
+    return createGuidance(pointA, pointB, implement.width, turfBoundary);
+  }, [pointA, pointB, implement?.width, turfBoundary]);
+  const guidanceRef = useRef(null);
+  guidanceRef.current = guidance;
+
+  const guideLines = useMemo(() => {
+    if (!guidance) return [];
+    return [guideIndex - 1, guideIndex, guideIndex + 1].map(index => ({
+      index,
+      segments: guidance.lineSegments(index),
+    }));
+  }, [guidance, guideIndex]);
+
+  useEffect(() => {
+    if (!guidance) setCrossTrack(null);
+  }, [guidance]);
+
+  const currentPosition = async () => {
+    if (lastFix.current && Date.now() - lastFix.current.timestamp < 5000) {
+      const { latitude, longitude } = lastFix.current;
+      return { latitude, longitude };
+    }
+    const loc = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Highest });
+    if (loc.coords.accuracy > 12) {
+      Alert.alert('GPS Signal Weak', 'Please wait for better GPS signal before marking a point.');
+      return null;
+    }
+    return { latitude: loc.coords.latitude, longitude: loc.coords.longitude };
+  };
+
+  const markPoint = async (setPoint, other) => {
+    const point = await currentPosition();
+    if (!point) return;
+    if (other && turf.distance(
+      [other.longitude, other.latitude],
+      [point.longitude, point.latitude],
+      { units: 'meters' }
+    ) < 5) {
+      Alert.alert('Points Too Close', 'A and B must be at least 5 m apart. Drive further along the line.');
+      return;
+    }
+    setPoint(point);
+  };
+
+  const pickBoundaryEdge = () => {
+    const edges = boundaryEdges(turfBoundary);
+    edgeIndex.current = (edgeIndex.current + 1) % edges.length;
+    const { a, b } = edges[edgeIndex.current];
+    setPointA(a);
+    setPointB(b);
+    setGuideIndex(0);
+  };
+
+  const toggleImplementMode = () => {
+    const next = IMPLEMENT_MODES[(IMPLEMENT_MODES.indexOf(implementMode) + 1) % IMPLEMENT_MODES.length];
+    implementModeRef.current = next;
+    setImplementMode(next);
+  };
+
+  const clearGuidance = () => {
+    setPointA(null);
+    setPointB(null);
+    setGuideIndex(0);
+    edgeIndex.current = -1;
+  };
+
+  // Map region framing the whole field, every part of it included
+  useEffect(() => {
+    const [minLng, minLat, maxLng, maxLat] = turf.bbox(turfBoundary);
+    setRegion({
+      latitude: (minLat + maxLat) / 2,
+      longitude: (minLng + maxLng) / 2,
+      latitudeDelta: Math.max((maxLat - minLat) * 1.4, 0.001),
+      longitudeDelta: Math.max((maxLng - minLng) * 1.4, 0.001),
+    });
+  }, [turfBoundary]);
+
+  useEffect(() => {
+    Location.requestForegroundPermissionsAsync();
   }, []);
 
-  // Restore plough session if interrupted
+  // Offer to continue an unfinished session for this farmer and field
   useEffect(() => {
-    AsyncStorage.getItem('lastPloughSession').then(d => {
-      if (d) {
-        const { ploughedArea, progress, cells, sessionTime } = JSON.parse(d);
-        setPloughedArea(ploughedArea);
-        setProgress(progress);
-        setSessionTime(sessionTime || 0);
-        if (cells) {
-          cells.forEach(([id,count]) => cellCounts.current.set(id,count));
+    loadSessionSnapshot(farmer.id, fieldId).then(snapshot => {
+      if (!snapshot) return;
+      const lastActive = new Date(snapshot.updatedAt).toLocaleString();
+      Alert.alert(
+        'Unfinished Session',
+        `A ploughing session for this field was interrupted (last active ${lastActive}). Resume it or discard it?`,
+        [
+          {
+            text: 'Discard',
+            style: 'destructive',
+            onPress: () => clearSessionSnapshot(farmer.id, fieldId),
+          },
+          { text: 'Resume', onPress: () => restoreSession(snapshot) },
+        ],
+        { cancelable: false }
+      );
+    });
+  }, [farmer.id, fieldId]);
+
+  // Loads a snapshot as a paused session; the time since it was last saved counts as a break
+  const restoreSession = (snapshot) => {
+    cellCounts.current = new Map();
+    restoredCells.current = snapshot.cells;
+    track.current = snapshot.track || [];
+    pauses.current = snapshot.pauses || [];
+    workedMs.current = snapshot.workedMs || 0;
+    sessionStartTime.current = snapshot.startedAt;
+    runningSince.current = null;
+    pauseStart.current = snapshot.pauseStart || snapshot.updatedAt;
+    setImplement(snapshot.implement);
+    motionTimesRef.current = { ...emptyMotionTimes(), ...snapshot.motionTimes };
+    // The session comes back paused, so a trip outside that was under way
+    // ends at the last snapshot, as it would on pause
+    excursionLog.current = createExcursionLog();
+    excursionLog.current.restore(snapshot.excursionLog);
+    excursionLog.current.close();
+    workRate.current.restore(snapshot.workRate);
+    setOutOfField(excursionLog.current.totals());
+    setMotionTimes(motionTimesRef.current);
+    if (snapshot.headlandWidth !== undefined) setHeadlandWidth(snapshot.headlandWidth);
+    mainCompletedRef.current = snapshot.mainCompletedAt || null;
+    setMainCompletedAt(mainCompletedRef.current);
+    setPointA(snapshot.abLine?.a || null);
+    setPointB(snapshot.abLine?.b || null);
+    setSessionTime(Math.floor(workedMs.current / 1000));
+    setPausedTime(pausedSeconds());
+    setSessionState('paused');
+    setRestoredAt(Date.now());
+  };
+
+  const submitPloughingSession = async ({ workedSeconds, pausedSeconds: pausedTotal, missed }) => {
+    const outside = excursionLog.current.totals();
+    const billing = computeCharge(await loadTariff(), {
+      implementId: implement.id,
+      acres: ploughedArea,
+      workedSeconds,
+    });
+    const payload = {
+      farmId: farmer.id,
+      farmerName: farmer.name,
+      implement: {
+        id: implement.id,
+        name: implement.name,
+        width: implement.width,
+        antennaOffset: implement.antennaOffset,
+      },
+      ploughedArea,
+      fieldArea,
+      progress,
+      overlapArea: overlap.overlapArea,
+      overlapPercent: overlap.overlapPercent,
+      reworkedArea: overlap.reworkedArea,
+      wastedDistance: overlap.wastedDistance,
+      passHistogram: overlap.histogram,
+      headlandWidth,
+      headlandArea: zones ? zones.headlandArea : 0,
+      mainZoneArea: zones ? zones.mainArea : fieldArea,
+      headlandPloughed: zoneCovered.headland,
+      mainZonePloughed: zoneCovered.main,
+      mainZoneCompletedAt: mainCompletedAt ? new Date(mainCompletedAt).toISOString() : null,
+      motionTime: roundedMotionTimes(),
+      fieldCoveredArea: fieldCovered,
+      fieldProgress,
+      jobSessions: fieldJob.current.sessions.length + 1,
+      billing,
+      workRate: rates.sessionRate,
+      fieldEfficiency: rates.efficiency,
+      workedDistance: Math.round(workRate.current.snapshot().workedDistance),
+      outOfFieldTime: Math.round(outside.time),
+      outOfFieldDistance: Math.round(outside.distance),
+      excursions: excursionLog.current.excursions(),
+      missedAreas: missed.map(gap => ({ kind: gap.kind, area: gap.area, ...gap.center })),
+      sessionTime: workedSeconds,
+      pausedTime: pausedTotal,
+      pauses: pauses.current,
+      startedAt: new Date(sessionStartTime.current).toISOString(),
+      timestamp: new Date().toISOString(),
+    };
+    let record;
+    try {
+      record = await enqueue('ploughSession', payload, `Ploughing: ${farmer.name} (${farmer.id})`);
+    } catch (e) {
+      console.error('Session save error:', e);
+      Alert.alert('Save Error', 'Session completed but could not be saved on this device.');
+      return;
+    }
+    // Keep a local copy for the History screen
+    let historySaved = true;
+    try {
+      await saveSessionRecord({
+        id: record.id,
+        syncId: record.id,
+        fieldId,
+        summary: payload,
+        boundaryCoords,
+        boundary: turfBoundary.geometry,
+        shapes: shapeCache.current.shapes(cellCounts.current),
+        track: track.current,
+      });
+    } catch (e) {
+      console.error('History save error:', e);
+      historySaved = false;
+    }
+    try {
+      await saveToFieldCoverage(record.id);
+    } catch (e) {
+      console.error('Field coverage save error:', e);
+    }
+    // Only drop the recovery snapshot once the session is safely queued
+    await clearSessionSnapshot(farmer.id, fieldId);
+    const breakdown = Object.entries(payload.motionTime)
+      .map(([key, seconds]) => `${MOTION_LABELS[key].label}: ${formatTime(seconds)}`)
+      .join('\n');
+    const warning = historySaved ? '' : '\n\n⚠️ The session could not be added to History on this device.';
+    const details = `${breakdown}\n\nAmount due: ${formatMoney(billing.currency, billing.amount)}${warning}`;
+    const buttons = [
+      { text: 'Share Receipt', onPress: () => shareReceipt(payload) },
+      { text: 'OK' },
+    ];
+    // Uploading carries on in the background (enqueue started it), so the
+    // operator is not held up by a slow or missing connection
+    Alert.alert('Session Complete! 🎉', `Your ploughing session is saved and will sync automatically.\n\n${details}`, buttons);
+  };
+
+  // GPS tracking and cell updates
+  const locationSub = useRef();
+  const locationFilter = useRef(createLocationFilter(FILTER_PRESETS.ploughing));
+  const lastCentre = useRef(null);
+  const passTracker = useRef(createPassTracker());
+  const motionClassifier = useRef(null);
+  const geofence = useMemo(() => createGeofence(turfBoundary), [turfBoundary]);
+  const lastFixTime = useRef(null);
+  const lastSnapshotAt = useRef(0);
+
+  const roundedMotionTimes = () => Object.fromEntries(
+    Object.entries(motionTimesRef.current).map(([key, seconds]) => [key, Math.round(seconds)])
+  );
+
+  // Stop GPS updates if the screen goes away mid-session
+  useEffect(() => () => locationSub.current?.remove(), []);
+
+  const saveSnapshot = () => {
+    lastSnapshotAt.current = Date.now();
+    const running = runningSince.current ? Date.now() - runningSince.current : 0;
+    const ids = [...cellCounts.current.keys()];
+    saveSessionSnapshot(farmer.id, fieldId, {
+      implement,
+      startedAt: sessionStartTime.current,
+      workedMs: workedMs.current + running,
+      pauses: pauses.current,
+      pauseStart: pauseStart.current,
+      cells: {
+        cellSize: grid.cellSize,
+        positions: cellPositions(grid, ids),
+        passes: ids.map(id => cellCounts.current.get(id)),
+      },
+      track: track.current,
+      motionTimes: motionTimesRef.current,
+      excursionLog: excursionLog.current.snapshot(),
+      workRate: workRate.current.snapshot(),
+      headlandWidth,
+      mainCompletedAt: mainCompletedRef.current,
+      abLine: guidanceRef.current ? { a: guidanceRef.current.a, b: guidanceRef.current.b } : null,
+    }).catch(e => console.error('Snapshot save error:', e));
+  };
+
+  const startWatching = async () => {
+    // A fresh subscription must not join its first fix to the last one before the pause
+    locationFilter.current.reset();
+    lastCentre.current = null;
+    passTracker.current = createPassTracker();
+    motionClassifier.current = createMotionClassifier(implement);
+    lastFixTime.current = null;
+    locationSub.current = await Location.watchPositionAsync(
+      { accuracy: Location.Accuracy.Highest, timeInterval: 600, distanceInterval: 0.3 },
+      loc => {
+        // Drop implausible fixes and smooth the rest
+        const fix = locationFilter.current.process(loc);
+        if (!fix) return;
+        setSpeed(fix.speed * 3.6); // km/h
+        lastFix.current = fix;
+        setPosition({ latitude: fix.latitude, longitude: fix.longitude, heading: fix.heading });
+
+        // Only time spent working counts towards coverage
+        const label = motionClassifier.current.classify(fix, implementModeRef.current);
+        if (lastFixTime.current) {
+          const seconds = (fix.timestamp - lastFixTime.current) / 1000;
+          if (seconds <= MAX_FIX_GAP) motionTimesRef.current[label] += seconds;
+        }
+        lastFixTime.current = fix.timestamp;
+        setMotion(label);
+        setMotionTimes({ ...motionTimesRef.current });
+
+        // Warn on the way out of the field, not on every fix while outside
+        const check = geofence.check(fix, edgeWarningDistance);
+        if (check.state !== GEOFENCE.inside && check.state !== fenceState.current) {
+          Vibration.vibrate(GEOFENCE_VIBRATION);
+        }
+        fenceState.current = check.state;
+        setFence(check);
+        excursionLog.current.update(fix, check.state === GEOFENCE.outside);
+        setOutOfField(excursionLog.current.totals());
+
+        track.current.push({
+          latitude: fix.latitude,
+          longitude: fix.longitude,
+          accuracy: fix.rawAccuracy,
+          speed: fix.speed,
+          heading: fix.heading,
+          timestamp: fix.timestamp,
+          motion: label,
+        });
+        if (Date.now() - lastSnapshotAt.current >= SNAPSHOT_INTERVAL) saveSnapshot();
+
+        // Work with the implement centre rather than the antenna position
+        const centre = applyAntennaOffset(fix, fix.heading, implement.antennaOffset);
+        if (guidanceRef.current) {
+          const located = guidanceRef.current.locate(centre, fix.heading);
+          setCrossTrack(located.crossTrack);
+          setGuideIndex(located.index);
+        }
+        const previous = lastCentre.current;
+        lastCentre.current = centre;
+        if (!previous) return;
+        if (label !== MOTION.working) {
+          passTracker.current = createPassTracker();
+          return;
+        }
+
+        // Sweep the implement width along the path since the last fix
+        const { ids } = applySegment(
+          grid,
+          cellCounts.current,
+          previous,
+          centre,
+          implement.width,
+          passTracker.current,
+          tally.current
+        );
+        if (ids.length) {
+          workRate.current.addDistance(turf.distance(
+            [previous.longitude, previous.latitude],
+            [centre.longitude, centre.latitude],
+            { units: 'meters' }
+          ));
+          showTotals(zones);
+          scheduleShapes(ids);
         }
+        workRate.current.sample(workingSeconds(), coveredRef.current);
       }
+    );
+  };
+
+  const startSession = async () => {
+    if (!implement) {
+      Alert.alert('Select Implement', 'Choose the implement you are working with before starting.');
+      setPickerVisible(true);
+      return;
+    }
+    if (!grid) {
+      Alert.alert('Preparing Field', 'The field grid is still being set up. Please try again in a moment.');
+      return;
+    }
+    cellCounts.current.clear();
+    shapeCache.current.reset();
+    mainCompletedRef.current = null;
+    setMainCompletedAt(null);
+    retally(grid, zones);
+    setShapes(null);
+    setGaps([]);
+    setSelectedGapId(null);
+    motionTimesRef.current = emptyMotionTimes();
+    setMotionTimes(motionTimesRef.current);
+    excursionLog.current = createExcursionLog();
+    setOutOfField({ time: 0, distance: 0 });
+    workRate.current = createWorkRate();
+    setSessionTime(0);
+    setPausedTime(0);
+    track.current = [];
+    pauses.current = [];
+    pauseStart.current = null;
+    workedMs.current = 0;
+    sessionStartTime.current = Date.now();
+    runningSince.current = Date.now();
+    setSessionState('running');
+    await startWatching();
+  };
+
+  const pauseSession = () => {
+    locationSub.current?.remove();
+    excursionLog.current.close();
+    fenceState.current = GEOFENCE.inside;
+    setFence({ state: GEOFENCE.inside, distance: null });
+    workedMs.current += Date.now() - runningSince.current;
+    runningSince.current = null;
+    pauseStart.current = Date.now();
+    setSpeed(0);
+    setSessionState('paused');
+    saveSnapshot();
+  };
+
+  const closePause = () => {
+    const end = Date.now();
+    pauses.current.push({
+      start: new Date(pauseStart.current).toISOString(),
+      end: new Date(end).toISOString(),
+      duration: Math.round((end - pauseStart.current) / 1000),
     });
-  }, []);
+    pauseStart.current = null;
+  };
 
-  const submitPloughingSession = async () => {
+  const resumeSession = async () => {
+    closePause();
+    runningSince.current = Date.now();
+    setSessionState('running');
+    await startWatching();
+  };
+
+  const finishSession = () => {
+    const missed = analyseGaps();
+    const missedArea = missed.reduce((sum, gap) => sum + gap.area, 0);
+    const message = missed.length
+      ? `${missed.length} missed ${missed.length === 1 ? 'area' : 'areas'} (${formatGapArea(missedArea)}) still unploughed. Stop tracking and submit anyway?`
+      : 'Stop tracking and submit this ploughing session?';
+    Alert.alert('Finish Session', message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Finish',
+        style: 'destructive',
+        onPress: async () => {
+          if (sessionState === 'paused') {
+            closePause();
+          } else {
+            locationSub.current?.remove();
+            excursionLog.current.close();
+            fenceState.current = GEOFENCE.inside;
+            setFence({ state: GEOFENCE.inside, distance: null });
+            workedMs.current += Date.now() - runningSince.current;
+            runningSince.current = null;
+          }
+          const totals = { workedSeconds: workingSeconds(), pausedSeconds: pausedSeconds() };
+          setSessionTime(totals.workedSeconds);
+          setPausedTime(totals.pausedSeconds);
+          setSessionState('idle');
+          await submitPloughingSession({ ...totals, missed });
+        },
+      },
+    ]);
+  };
+
+  const onExport = async (format) => {
+    setExportVisible(false);
     try {
-      const res = await fetch('https://script.google.com/macros/s/AKfycbwoOdpKTRjgYi_g_VbqOSOx0XUPf1FbjFKw-jptAF55SS_JdLkV36R13blnePhdX60LMA/exec', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const { uri, shared } = await exportSession({
+        boundary: geojson,
+        shapes: grid ? coverageShapes(grid, cellCounts.current) : { single: [], multi: [] },
+        track: track.current,
+        summary: {
           farmId: farmer.id,
           farmerName: farmer.name,
+          implement: implement?.name,
           ploughedArea,
           fieldArea,
           progress,
           sessionTime,
-          timestamp: new Date().toISOString(),
-        }),
-      });
-      const data = await res.json();
-      if (data.result === 'success') {
-        Alert.alert('Session Complete! 🎉', 'Your ploughing session has been successfully recorded.');
-      } else {
-        Alert.alert('Save Error', 'Session completed but failed to sync with server.');
+          ...Object.fromEntries(
+            Object.entries(roundedMotionTimes()).map(([key, seconds]) => [`${key}Time`, seconds])
+          ),
+        },
+      }, format);
+      if (!shared) {
+        Alert.alert('Export Saved 📊', `Sharing is not available on this device. File saved to:\n${uri}`);
       }
     } catch (e) {
-      Alert.alert('Connection Error', 'Session completed but could not sync. Data saved locally.');
+      console.error('Export error:', e);
+      Alert.alert('Export Failed', 'Could not write the export file. Please try again.');
     }
   };
 
-  // GPS tracking and cell updates
-  const locationSub = useRef();
-  const lastLocation = useRef(null);
-  
-  const togglePlough = async () => {
-    if (!ploughing) {
-      cellCounts.current.clear();
-      setPloughedArea(0);
-      setProgress(0);
-      setSessionTime(0);
-      sessionStartTime.current = Date.now();
-      setPloughing(true);
-      
-      locationSub.current = await Location.watchPositionAsync(
-        { accuracy: Location.Accuracy.Highest, timeInterval: 600, distanceInterval: 0.3 },
-        loc => {
-          if (!loc?.coords || loc.coords.accuracy > 12) return;
-          
-          // Calculate speed
-          if (lastLocation.current) {
-            const distance = turf.distance(
-              [lastLocation.current.longitude, lastLocation.current.latitude],
-              [loc.coords.longitude, loc.coords.latitude],
-              { units: 'meters' }
-            );
-            const timeDiff = (loc.timestamp - lastLocation.current.timestamp) / 1000;
-            const currentSpeed = distance / timeDiff; // m/s
-            setSpeed(currentSpeed * 3.6); // km/h
-          }
-          lastLocation.current = loc.coords;
-          
-          const pt = turf.point([loc.coords.longitude, loc.coords.latitude]);
-          let updated = false;
-          for (let {id,feature} of gridCells) {
-            if (turf.booleanPointInPolygon(pt,feature)) {
-              if (!cellCounts.current.has(id)) updated = true;
-              cellCounts.current.set(id, (cellCounts.current.get(id)||0)+1);
-              break;
-            }
-          }
-          if (updated) {
-            const visited = cellCounts.current.size;
-            const cellArea = Math.pow(ploughWidth/2,2) / 4046.86;
-            const covered = visited * cellArea;
-            setPloughedArea(covered);
-            const newProgress = Math.min(covered / fieldArea, 1);
-            setProgress(newProgress);
-            
-            AsyncStorage.setItem('lastPloughSession', JSON.stringify({
-              ploughedArea: covered, 
-              progress: newProgress,
-              sessionTime: Math.floor((Date.now() - sessionStartTime.current) / 1000),
-              cells: Array.from(cellCounts.current.entries()),
-            }));
-          }
-        }
-      );
-    } else {
-      locationSub.current?.remove();
-      setPloughing(false);
-      AsyncStorage.removeItem('lastPloughSession');
-      await submitPloughingSession();
-    }
-  };
+  // Work rate and time to finish, refreshed with the session clock
+  const rates = useMemo(() => workRate.current.stats({
+    width: implement ? implement.width : 0,
+    coveredAcres: ploughedArea,
+    remainingAcres: fieldArea - fieldCovered,
+    workedSeconds: sessionTime,
+  }), [implement?.width, ploughedArea, fieldCovered, fieldArea, sessionTime]);
 
-  const formatTime = (seconds) => {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const getProgressColor = () => {
+    if (fieldProgress < 0.3) return '#EF4444';
+    if (fieldProgress < 0.7) return '#F59E0B';
+    return '#10B981';
   };
 
-  const getProgressColor = () => {
-    if (progress < 0.3) return '#EF4444';
-    if (progress < 0.7) return '#F59E0B';
+  const getSpeedColor = () => {
+    if (!implement || !ploughing) return '#10B981';
+    if (speed < implement.minSpeed || speed > implement.maxSpeed) return '#F59E0B';
     return '#10B981';
   };
 
@@ -245,58 +974,123 @@ export default function PloughingScreen({ route, navigation }) {
         showsMyLocationButton={false}
         mapType="satellite"
       >
-        <Polygon 
-          coordinates={boundaryCoords} 
-          strokeColor="#10B981" 
-          fillColor="rgba(16, 185, 129, 0.15)"
-          strokeWidth={3}
-        />
-        {ploughing && gridCells.map(({id,feature})=>{
-          const count=cellCounts.current.get(id)||0;
-          if(!count) return null;
-          const coords=feature.geometry.coordinates[0].map(([lng,lat])=>({latitude:lat,longitude:lng}));
-          return (
-            <Polygon 
-              key={id} 
-              coordinates={coords} 
-              fillColor={count>1?'rgba(239, 68, 68, 0.6)':'rgba(16, 185, 129, 0.4)'} 
-              strokeWidth={0}
-            />
-          );
-        })}
+        {fieldShapes.map((shape, i) => (
+          <Polygon 
+            key={`field-${i}`}
+            coordinates={shape.coordinates} 
+            holes={shape.holes}
+            strokeColor="#10B981" 
+            fillColor="rgba(16, 185, 129, 0.15)"
+            strokeWidth={3}
+          />
+        ))}
+        {zones && zones.band.map((shape, i) => (
+          <Polygon
+            key={`headland-${i}`}
+            coordinates={shape.coordinates}
+            holes={shape.holes}
+            strokeWidth={0}
+            fillColor="rgba(245, 158, 11, 0.2)"
+          />
+        ))}
+        {zones && zones.inner.map((ring, i) => (
+          <Polygon
+            key={`main-zone-${i}`}
+            coordinates={ring}
+            strokeColor={mainCompletedAt ? '#10B981' : '#F59E0B'}
+            strokeWidth={2}
+            lineDashPattern={[8, 6]}
+            fillColor="transparent"
+          />
+        ))}
+        <CoverageLayer shapes={prior.shapes} colors={PRIOR_COVERAGE_COLORS} />
+        <CoverageLayer shapes={shapes} />
+        <GapLayer gaps={gaps} selectedId={gapRoute?.gap.id} />
+        {gapRoute && (
+          <Polyline
+            coordinates={[position, gapRoute.target]}
+            strokeColor="#3B82F6"
+            strokeWidth={2}
+            lineDashPattern={[10, 6]}
+          />
+        )}
+        {guideLines.map(({ index, segments }) => segments.map((segment, i) => (
+          <Polyline
+            key={`guide-${index}-${i}`}
+            coordinates={segment}
+            strokeColor={index === guideIndex ? '#FBBF24' : 'rgba(251, 191, 36, 0.5)'}
+            strokeWidth={index === guideIndex ? 3 : 1}
+            lineDashPattern={index === guideIndex ? undefined : [6, 6]}
+          />
+        )))}
+        {pointA && <Marker coordinate={pointA} title="A" pinColor="#3B82F6" />}
+        {pointB && <Marker coordinate={pointB} title="B" pinColor="#3B82F6" />}
       </MapView>
 
       {/* Header Info */}
       <View style={styles.headerCard}>
-        <Text style={styles.headerTitle}>Ploughing Session</Text>
-        <Text style={styles.headerSubtitle}>{farmer.name} • {fieldArea.toFixed(2)} acres</Text>
+        {ploughing && fence.state !== GEOFENCE.inside && (
+          <View style={[styles.fenceBanner, fence.state === GEOFENCE.outside && styles.fenceBannerOutside]}>
+            <Text style={styles.fenceBannerText}>
+              {fence.state === GEOFENCE.outside
+                ? `⚠️ Outside the field • ${fence.distance.toFixed(0)} m beyond the boundary`
+                : `⚠️ Near the field edge • ${fence.distance.toFixed(1)} m to the boundary`}
+            </Text>
+          </View>
+        )}
+        <View style={styles.headerTitleRow}>
+          <Text style={styles.headerTitle}>Ploughing Session</Text>
+          <SyncBadge onPress={() => navigation.navigate('Sync')} />
+        </View>
+        <Text style={styles.headerSubtitle}>
+          {farmer.name} • {fieldArea.toFixed(2)} acres • 🚜 {implement ? implement.name : 'No implement'}
+        </Text>
         <View style={styles.statusRow}>
           <View style={styles.statusItem}>
             <Text style={styles.statusLabel}>Width</Text>
-            <Text style={styles.statusValue}>{ploughWidth}m</Text>
+            <Text style={styles.statusValue}>{implement ? `${implement.width}m` : '--'}</Text>
           </View>
           <View style={styles.statusItem}>
             <Text style={styles.statusLabel}>Speed</Text>
-            <Text style={styles.statusValue}>{speed.toFixed(1)} km/h</Text>
+            <Text style={[styles.statusValue, { color: getSpeedColor() }]}>{speed.toFixed(1)} km/h</Text>
           </View>
           <View style={styles.statusItem}>
             <Text style={styles.statusLabel}>Time</Text>
             <Text style={styles.statusValue}>{formatTime(sessionTime)}</Text>
           </View>
         </View>
+        {guidance && ploughing && (
+          <View style={styles.guidanceRow}>
+            <CrossTrackIndicator crossTrack={crossTrack} />
+          </View>
+        )}
+        <MotionStatus
+          motion={motion}
+          active={ploughing}
+          implementMode={implementMode}
+          onToggle={toggleImplementMode}
+        />
+        <GapNavigator
+          route={gapRoute}
+          heading={position?.heading}
+          count={gaps.length}
+          onPress={showGaps}
+        />
       </View>
 
       {/* Control Panel */}
       <View style={styles.controlPanel}>
         {/* Progress Section */}
-        <View style={styles.progressSection}>
+        <ScrollView style={styles.progressSection}>
           <View style={styles.progressHeader}>
-            <Text style={styles.progressTitle}>Field Progress</Text>
+            <Text style={styles.progressTitle}>
+              {prior.sessions > 0 ? `Field Progress • Job session ${prior.sessions + 1}` : 'Field Progress'}
+            </Text>
             <Text style={[styles.progressPercentage, { color: getProgressColor() }]}>
-              {(progress * 100).toFixed(1)}%
+              {(fieldProgress * 100).toFixed(1)}%
             </Text>
           </View>
-          
+
           <View style={styles.progressBarContainer}>
             <Animated.View 
               style={[
@@ -311,7 +1105,12 @@ export default function PloughingScreen({ route, navigation }) {
               ]} 
             />
           </View>
-          
+          {prior.area > 0 && (
+            <Text style={styles.jobProgress}>
+              This session {ploughedArea.toFixed(2)} ac ({(progress * 100).toFixed(1)}%) • Field total {fieldCovered.toFixed(2)} ac
+            </Text>
+          )}
+
           <View style={styles.areaInfo}>
             <View style={styles.areaItem}>
               <Text style={styles.areaLabel}>Ploughed</Text>
@@ -319,53 +1118,184 @@ export default function PloughingScreen({ route, navigation }) {
             </View>
             <View style={styles.areaItem}>
               <Text style={styles.areaLabel}>Remaining</Text>
-              <Text style={styles.areaValue}>{(fieldArea - ploughedArea).toFixed(2)} ac</Text>
+              <Text style={styles.areaValue}>{Math.max(fieldArea - fieldCovered, 0).toFixed(2)} ac</Text>
+            </View>
+            <View style={styles.areaItem}>
+              <Text style={styles.areaLabel}>Overlap</Text>
+              <Text style={[styles.areaValue, overlap.overlapPercent > 10 && styles.areaValueWarning]}>
+                {overlap.overlapPercent.toFixed(1)}%
+              </Text>
             </View>
           </View>
-        </View>
+
+          {sessionTime > 0 && (
+            <View style={[styles.areaInfo, styles.rateInfo]}>
+              <View style={styles.areaItem}>
+                <Text style={styles.areaLabel}>Rate ({RATE_WINDOW_MINUTES} min)</Text>
+                <Text style={styles.areaValue}>{rates.recentRate.toFixed(2)} ac/h</Text>
+                <Text style={styles.rateDetail}>Session {rates.sessionRate.toFixed(2)} ac/h</Text>
+              </View>
+              <View style={styles.areaItem}>
+                <Text style={styles.areaLabel}>Efficiency</Text>
+                <Text style={styles.areaValue}>{(rates.efficiency * 100).toFixed(0)}%</Text>
+              </View>
+              <View style={styles.areaItem}>
+                <Text style={styles.areaLabel}>Finish in</Text>
+                <Text style={styles.areaValue}>
+                  {rates.remainingSeconds !== null ? formatTime(rates.remainingSeconds) : '--'}
+                </Text>
+                {rates.remainingSeconds !== null && (
+                  <Text style={styles.rateDetail}>
+                    ~{new Date(Date.now() + rates.remainingSeconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </Text>
+                )}
+              </View>
+            </View>
+          )}
+
+          {zones && zones.headlandArea > 0 && (
+            <View style={styles.zoneInfo}>
+              <View style={styles.zoneRow}>
+                <Text style={styles.zoneLabel}>Main zone</Text>
+                <Text style={styles.zoneValue}>
+                  {zoneCovered.main.toFixed(2)} / {zones.mainArea.toFixed(2)} ac
+                </Text>
+                {mainCompletedAt ? (
+                  <Text style={styles.zoneComplete}>✅ Complete</Text>
+                ) : (
+                  <Text style={styles.zonePercent}>
+                    {zones.mainArea > 0 ? ((zoneCovered.main / zones.mainArea) * 100).toFixed(0) : 0}%
+                  </Text>
+                )}
+              </View>
+              <View style={styles.zoneRow}>
+                <Text style={styles.zoneLabel}>Headland</Text>
+                <Text style={styles.zoneValue}>
+                  {zoneCovered.headland.toFixed(2)} / {zones.headlandArea.toFixed(2)} ac
+                </Text>
+                <Text style={styles.zonePercent}>
+                  {((zoneCovered.headland / zones.headlandArea) * 100).toFixed(0)}%
+                </Text>
+              </View>
+            </View>
+          )}
+
+          {sessionTime > 0 && (
+            <View style={styles.overlapInfo}>
+              <Text style={styles.overlapText}>
+                {Object.entries(motionTimes)
+                  .map(([key, seconds]) => `${MOTION_LABELS[key].label} ${formatTime(Math.round(seconds))}`)
+                  .join('  •  ')}
+              </Text>
+              {outOfField.time > 0 && (
+                <Text style={[styles.overlapText, styles.outOfFieldText]}>
+                  Outside field {formatTime(Math.round(outOfField.time))} • {outOfField.distance.toFixed(0)} m
+                </Text>
+              )}
+            </View>
+          )}
+
+          {overlap.histogram.length > 0 && (
+            <View style={styles.overlapInfo}>
+              <Text style={styles.overlapText}>
+                {overlap.histogram
+                  .map(({ passes, area }) => `${passes}×: ${area.toFixed(2)} ac`)
+                  .join('  •  ')}
+              </Text>
+              <Text style={styles.overlapText}>
+                Re-worked {overlap.reworkedArea.toFixed(2)} ac • Wasted {overlap.wastedDistance.toFixed(0)} m
+              </Text>
+            </View>
+          )}
+        </ScrollView>
 
         {/* Control Buttons */}
         <View style={styles.buttonSection}>
-          <Animated.View style={{ transform: [{ scale: ploughing ? pulseAnim : 1 }] }}>
+          <GuidanceControls
+            pointA={pointA}
+            pointB={pointB}
+            onSetA={() => markPoint(setPointA, pointB)}
+            onSetB={() => markPoint(setPointB, pointA)}
+            onUseEdge={pickBoundaryEdge}
+            onClear={clearGuidance}
+          />
+          {!sessionActive ? (
             <TouchableOpacity
-              style={[
-                styles.mainButton,
-                { backgroundColor: ploughing ? '#EF4444' : '#10B981' }
-              ]}
-              onPress={togglePlough}
+              style={[styles.mainButton, { backgroundColor: '#10B981' }]}
+              onPress={startSession}
               activeOpacity={0.8}
             >
-              <Text style={styles.mainButtonIcon}>
-                {ploughing ? '⏹️' : '▶️'}
-              </Text>
-              <Text style={styles.mainButtonText}>
-                {ploughing ? 'Stop Ploughing' : 'Start Ploughing'}
-              </Text>
+              <Text style={styles.mainButtonIcon}>▶️</Text>
+              <Text style={styles.mainButtonText}>Start Ploughing</Text>
             </TouchableOpacity>
-          </Animated.View>
+          ) : (
+            <View style={styles.sessionButtonRow}>
+              <Animated.View style={[styles.sessionButton, { transform: [{ scale: ploughing ? pulseAnim : 1 }] }]}>
+                <TouchableOpacity
+                  style={[
+                    styles.mainButton,
+                    { backgroundColor: ploughing ? '#F59E0B' : '#10B981' }
+                  ]}
+                  onPress={ploughing ? pauseSession : resumeSession}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.mainButtonIcon}>{ploughing ? '⏸️' : '▶️'}</Text>
+                  <Text style={styles.mainButtonText}>{ploughing ? 'Pause' : 'Resume'}</Text>
+                </TouchableOpacity>
+              </Animated.View>
+              <View style={styles.sessionButton}>
+                <TouchableOpacity
+                  style={[styles.mainButton, { backgroundColor: '#EF4444' }]}
+                  onPress={finishSession}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.mainButtonIcon}>⏹️</Text>
+                  <Text style={styles.mainButtonText}>Finish</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
 
           <TouchableOpacity
             style={styles.secondaryButton}
-            onPress={() => {
-              const features = [
-                geojson,
-                ...gridCells.filter(({id})=>cellCounts.current.has(id)).map(({feature})=>feature)
-              ];
-              const out = { type: 'FeatureCollection', features };
-              Alert.alert(
-                "Export Complete 📊", 
-                `Session data exported successfully!\n\nPloughed: ${ploughedArea.toFixed(2)} acres\nProgress: ${(progress*100).toFixed(1)}%\nTime: ${formatTime(sessionTime)}`,
-                [{ text: "OK", style: "default" }]
-              );
-            }}
+            onPress={() => setExportVisible(true)}
             activeOpacity={0.8}
           >
             <Text style={styles.secondaryButtonIcon}>📊</Text>
             <Text style={styles.secondaryButtonText}>Export Session Data</Text>
           </TouchableOpacity>
+
+          {sessionActive && (
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.stackedButton]}
+              onPress={showGaps}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonIcon}>🔍</Text>
+              <Text style={styles.secondaryButtonText}>Check Missed Areas</Text>
+            </TouchableOpacity>
+          )}
+
+          {!sessionActive && (
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.stackedButton]}
+              onPress={() => setSettingsVisible(true)}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonIcon}>⚙️</Text>
+              <Text style={styles.secondaryButtonText}>Field Settings</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Status Indicators */}
+        {sessionState === 'paused' && (
+          <View style={styles.statusIndicators}>
+            <View style={[styles.indicator, styles.indicatorPaused]}>
+              <Text style={styles.indicatorText}>⏸️ Paused • {formatTime(pausedTime)} total break time</Text>
+            </View>
+          </View>
+        )}
         {ploughing && (
           <View style={styles.statusIndicators}>
             <View style={[styles.indicator, styles.indicatorActive]}>
@@ -377,6 +1307,266 @@ export default function PloughingScreen({ route, navigation }) {
           </View>
         )}
       </View>
+
+      {/* Field Settings */}
+      <Modal
+        visible={settingsVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setSettingsVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Field Settings</Text>
+            <TouchableOpacity
+              style={styles.implementSelector}
+              onPress={() => {
+                setSettingsVisible(false);
+                setPickerVisible(true);
+              }}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.implementSelectorText}>
+                🚜 {implement ? implement.name : 'Select implement'}
+              </Text>
+              <Text style={styles.implementSelectorAction}>Change</Text>
+            </TouchableOpacity>
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Headland</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeHeadlandWidth(-1)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>−</Text>
+              </TouchableOpacity>
+              <Text style={styles.settingValue}>{headlandWidth > 0 ? `${headlandWidth} m` : 'Off'}</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeHeadlandWidth(1)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Edge warning</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeEdgeWarning(-1)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>−</Text>
+              </TouchableOpacity>
+              <Text style={styles.settingValue}>{edgeWarningDistance > 0 ? `${edgeWarningDistance} m` : 'Off'}</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeEdgeWarning(1)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => {
+                setSettingsVisible(false);
+                navigation.navigate('History');
+              }}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonIcon}>📋</Text>
+              <Text style={styles.secondaryButtonText}>Session History</Text>
+            </TouchableOpacity>
+            {prior.area > 0 && (
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.stackedButton]}
+                onPress={() => {
+                  setSettingsVisible(false);
+                  markJobComplete();
+                }}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.secondaryButtonIcon}>✅</Text>
+                <Text style={styles.secondaryButtonText}>Mark Job Complete</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.stackedButton]}
+              onPress={() => setSettingsVisible(false)}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Implement Picker */}
+      <Modal
+        visible={pickerVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setPickerVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Select Implement</Text>
+            <ScrollView style={styles.modalList}>
+              {implementList.map(profile => (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[
+                    styles.implementOption,
+                    implement?.id === profile.id && styles.implementOptionActive
+                  ]}
+                  onPress={() => selectImplement(profile)}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.implementOptionName}>{profile.name}</Text>
+                  <Text style={styles.implementOptionDetail}>
+                    {profile.width}m • {profile.minSpeed}–{profile.maxSpeed} km/h
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => {
+                setPickerVisible(false);
+                navigation.navigate('Implements');
+              }}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonIcon}>⚙️</Text>
+              <Text style={styles.secondaryButtonText}>Manage Implements</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.stackedButton]}
+              onPress={() => {
+                setPickerVisible(false);
+                navigation.navigate('Tariff');
+              }}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonIcon}>💰</Text>
+              <Text style={styles.secondaryButtonText}>Hire Tariff</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Missed Areas */}
+      <Modal
+        visible={gapsVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setGapsVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Missed Areas</Text>
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Smallest gap shown</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeMinGapArea(-GAP_AREA_STEP)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>−</Text>
+              </TouchableOpacity>
+              <Text style={styles.settingValue}>{minGapArea} m²</Text>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => changeMinGapArea(GAP_AREA_STEP)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.stepButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+            <ScrollView style={styles.modalList}>
+              <TouchableOpacity
+                style={[styles.implementOption, !selectedGapId && styles.implementOptionActive]}
+                onPress={() => {
+                  setSelectedGapId(null);
+                  setGapsVisible(false);
+                }}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.implementOptionName}>Nearest gap</Text>
+                <Text style={styles.implementOptionDetail}>Always guide to the closest missed area</Text>
+              </TouchableOpacity>
+              {gaps.length === 0 && (
+                <Text style={styles.implementOptionDetail}>No missed areas found between the worked passes.</Text>
+              )}
+              {gaps.map(gap => {
+                const route = position ? routeToGap(grid, gap, position) : null;
+                return (
+                  <TouchableOpacity
+                    key={gap.id}
+                    style={[styles.implementOption, selectedGapId === gap.id && styles.implementOptionActive]}
+                    onPress={() => {
+                      setSelectedGapId(gap.id);
+                      setGapsVisible(false);
+                    }}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.implementOptionName}>
+                      {gap.kind === 'strip' ? 'Strip' : 'Patch'} • {formatGapArea(gap.area)}
+                    </Text>
+                    <Text style={styles.implementOptionDetail}>
+                      {route
+                        ? `${Math.round(route.distance)} m ${compassPoint(route.bearing)}`
+                        : 'Distance available once GPS is tracking'}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => setGapsVisible(false)}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Export Format Picker */}
+      <Modal
+        visible={exportVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setExportVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Export Session Data</Text>
+            {Object.entries(EXPORT_FORMATS).map(([key, { label, extension }]) => (
+              <TouchableOpacity
+                key={key}
+                style={styles.implementOption}
+                onPress={() => onExport(key)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.implementOptionName}>{label}</Text>
+                <Text style={styles.implementOptionDetail}>
+                  {key === 'csv' ? 'GPS track log' : 'Boundary, coverage and track'} (.{extension})
+                </Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => setExportVisible(false)}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -417,6 +1607,27 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 8,
   },
+  fenceBanner: {
+    backgroundColor: '#F59E0B',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  fenceBannerOutside: {
+    backgroundColor: '#EF4444',
+  },
+  fenceBannerText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  headerTitleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   headerTitle: {
     fontSize: 20,
     fontWeight: '800',
@@ -428,6 +1639,29 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginBottom: 16,
   },
+  implementSelector: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 16,
+  },
+  implementSelectorText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  implementSelectorAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#10B981',
+  },
+  guidanceRow: {
+    marginTop: 12,
+  },
   statusRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -461,7 +1695,11 @@ const styles = StyleSheet.create({
     shadowRadius: 20,
     elevation: 12,
   },
+  // Scrolls once the session stats outgrow the panel, so the buttons stay
+  // on screen
   progressSection: {
+    flexGrow: 0,
+    maxHeight: height * 0.3,
     marginBottom: 24,
   },
   progressHeader: {
@@ -509,9 +1747,106 @@ const styles = StyleSheet.create({
     color: '#374151',
     marginTop: 4,
   },
+  rateInfo: {
+    marginTop: 12,
+  },
+  rateDetail: {
+    fontSize: 11,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  jobProgress: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  areaValueWarning: {
+    color: '#EF4444',
+  },
+  overlapInfo: {
+    marginTop: 12,
+    alignItems: 'center',
+  },
+  overlapText: {
+    fontSize: 12,
+    color: '#6B7280',
+    fontWeight: '500',
+    marginTop: 2,
+  },
+  zoneInfo: {
+    marginTop: 12,
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  zoneRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  zoneLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  zoneValue: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginRight: 12,
+  },
+  zonePercent: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#F59E0B',
+    minWidth: 40,
+    textAlign: 'right',
+  },
+  zoneComplete: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#10B981',
+  },
+  outOfFieldText: {
+    color: '#EF4444',
+  },
   buttonSection: {
     marginBottom: 16,
   },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  settingLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  settingValue: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#374151',
+    minWidth: 48,
+    textAlign: 'center',
+  },
+  stepButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepButtonText: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#374151',
+  },
   mainButton: {
     borderRadius: 16,
     paddingVertical: 18,
@@ -525,6 +1860,13 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 8,
   },
+  sessionButtonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  sessionButton: {
+    flex: 1,
+  },
   mainButtonIcon: {
     fontSize: 20,
     marginRight: 12,
@@ -542,6 +1884,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  stackedButton: {
+    marginTop: 8,
+  },
   secondaryButtonIcon: {
     fontSize: 16,
     marginRight: 8,
@@ -564,9 +1909,54 @@ const styles = StyleSheet.create({
   indicatorActive: {
     backgroundColor: '#DCFCE7',
   },
+  indicatorPaused: {
+    backgroundColor: '#FEF3C7',
+  },
   indicatorText: {
     fontSize: 14,
     fontWeight: '600',
     color: '#374151',
   },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalCard: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    maxHeight: height * 0.7,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  modalList: {
+    marginBottom: 16,
+  },
+  implementOption: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  implementOptionActive: {
+    borderColor: '#10B981',
+    backgroundColor: '#DCFCE7',
+  },
+  implementOptionName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  implementOptionDetail: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
 });
\ No newline at end of file
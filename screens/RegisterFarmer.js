@@ -13,8 +13,8 @@ import {
   Animated,
   Dimensions
 } from 'react-native';
-
-const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbwoOdpKTRjgYi_g_VbqOSOx0XUPf1FbjFKw-jptAF55SS_JdLkV36R13blnePhdX60LMA/exec';
+import { enqueue } from '../utils/syncQueue';
+import SyncBadge from '../components/SyncBadge';
 
 const { width } = Dimensions.get('window');
 
@@ -70,29 +70,17 @@ export default function RegistrationScreen({ navigation }) {
     }
 
     setLoading(true);
+    const farmer = {
+      ...formData,
+      id: `M0${formData.farmId}`,
+    };
     try {
-      const res = await fetch(GOOGLE_SCRIPT_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          ...formData,
-          id: `M0${formData.farmId}`,
-        }),
-      });
-      const data = await res.json();
-      if (data.result === 'success') {
-        navigation.replace('Boundary', {
-          farmer: {
-            ...formData,
-            id: `M0${formData.farmId}`,
-          }
-        });
-      } else {
-        Alert.alert('Registration Failed', 'Unable to register farmer. Please try again.');
-      }
+      // Queued locally and uploaded when there is signal, so mapping can start right away
+      await enqueue('registration', farmer, `Registration: ${farmer.name} (${farmer.id})`);
+      navigation.replace('Boundary', { farmer });
     } catch (e) {
       console.error('Registration error:', e);
-      Alert.alert('Connection Error', 'Please check your internet connection and try again.');
+      Alert.alert('Save Error', 'Unable to save the registration on this device. Please try again.');
     }
     setLoading(false);
   };
@@ -157,6 +145,10 @@ export default function RegistrationScreen({ navigation }) {
           <View style={styles.header}>
             <Text style={styles.title}>Farmer Registration</Text>
             <Text style={styles.subtitle}>Complete your profile to get started</Text>
+            <SyncBadge style={styles.syncBadge} onPress={() => navigation.navigate('Sync')} />
+            <TouchableOpacity style={styles.historyLink} onPress={() => navigation.navigate('History')}>
+              <Text style={styles.historyLinkText}>📋 Session History</Text>
+            </TouchableOpacity>
             
             {/* Progress Bar */}
             <View style={styles.progressContainer}>
@@ -339,6 +331,19 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 24,
   },
+  syncBadge: {
+    marginTop: -12,
+    marginBottom: 20,
+  },
+  historyLink: {
+    marginTop: -8,
+    marginBottom: 20,
+  },
+  historyLinkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#10B981',
+  },
   progressContainer: {
     width: '100%',
     alignItems: 'center',
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ActivityIndicator
+} from 'react-native';
+import MapView, { Polygon, Marker } from 'react-native-maps';
+import Slider from '@react-native-community/slider';
+import CoverageLayer from '../components/CoverageLayer';
+import { loadSessionRecord } from '../utils/sessionHistory';
+import { createReplay } from '../utils/replay';
+import { boundaryFeature, polygonShapes } from '../utils/coverage';
+import { MOTION_LABELS } from '../utils/motionClassifier';
+import { formatTime } from '../utils/format';
+
+const SPEEDS = [1, 2, 4, 8, 16, 32];
+const TICK = 200; // ms between animation frames
+const SHAPES_INTERVAL = 500; // ms between coverage redraws
+
+export default function ReplayScreen({ route, navigation }) {
+  const { id } = route.params;
+  const [record, setRecord] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [shapes, setShapes] = useState(null);
+  const [unavailable, setUnavailable] = useState(false);
+  const [fieldShapes, setFieldShapes] = useState([]);
+  const [scrubbing, setScrubbing] = useState(null);
+  const timeRef = useRef(0);
+  const shapesTimer = useRef(null);
+
+  // Rebuilding the grid takes a moment on big fields, so let the spinner render first
+  useEffect(() => {
+    loadSessionRecord(id).then(data => {
+      if (!data?.track || data.track.length < 2) {
+        setUnavailable(true);
+        return;
+      }
+      setRecord(data);
+      setTimeout(() => {
+        const boundary = boundaryFeature(data.boundaryCoords, data.boundary);
+        const built = createReplay(boundary, data.track, data.summary.implement);
+        setFieldShapes(polygonShapes(boundary));
+        timeRef.current = built.startTime;
+        setTime(built.startTime);
+        setReplay(built);
+      }, 0);
+    });
+  }, [id]);
+
+  // Coverage as it stood at the current replay time, redrawn at most twice a
+  // second however fast playback runs
+  useEffect(() => {
+    if (!replay) return;
+    replay.seek(time);
+    if (shapesTimer.current) return;
+    shapesTimer.current = setTimeout(() => {
+      shapesTimer.current = null;
+      setShapes(replay.shapes());
+    }, SHAPES_INTERVAL);
+  }, [replay, time]);
+
+  useEffect(() => () => clearTimeout(shapesTimer.current), []);
+
+  useEffect(() => {
+    if (!playing || !replay) return;
+    const interval = setInterval(() => {
+      let next = timeRef.current + TICK * speed;
+      next = replay.skipGap(next) ?? next;
+      if (next >= replay.endTime) {
+        next = replay.endTime;
+        setPlaying(false);
+      }
+      timeRef.current = next;
+      setTime(next);
+    }, TICK);
+    return () => clearInterval(interval);
+  }, [playing, speed, replay]);
+
+  const scrubTo = (value) => {
+    timeRef.current = value;
+    setTime(value);
+  };
+
+  // Only the clock follows the thumb; coverage is rebuilt once it is let go
+  const endScrub = (value) => {
+    setScrubbing(null);
+    scrubTo(value);
+  };
+
+  const togglePlay = () => {
+    if (!playing && timeRef.current >= replay.endTime) scrubTo(replay.startTime);
+    setPlaying(!playing);
+  };
+
+  const position = useMemo(() => (replay ? replay.positionAt(time) : null), [replay, time]);
+
+  if (!record || !replay) {
+    return (
+      <View style={styles.loadingContainer}>
+        {unavailable ? (
+          <>
+            <Text style={styles.loadingText}>No GPS track was recorded for this session.</Text>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+              <Text style={styles.secondaryButtonText}>Back</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <ActivityIndicator size="large" color="#10B981" />
+            <Text style={styles.loadingText}>Preparing replay...</Text>
+          </>
+        )}
+      </View>
+    );
+  }
+
+  const motion = position.motion ? MOTION_LABELS[position.motion] : null;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <MapView
+        style={styles.map}
+        initialRegion={{
+          latitude: record.track[0].latitude,
+          longitude: record.track[0].longitude,
+          latitudeDelta: 0.003,
+          longitudeDelta: 0.003,
+        }}
+        mapType="satellite"
+      >
+        {fieldShapes.map((shape, i) => (
+          <Polygon
+            key={i}
+            coordinates={shape.coordinates}
+            holes={shape.holes}
+            strokeColor="#10B981"
+            fillColor="rgba(16, 185, 129, 0.15)"
+            strokeWidth={3}
+          />
+        ))}
+        <CoverageLayer shapes={shapes} />
+        <Marker
+          coordinate={{ latitude: position.latitude, longitude: position.longitude }}
+          rotation={position.heading ?? 0}
+          anchor={{ x: 0.5, y: 0.5 }}
+          flat
+        >
+          <Text style={styles.tractor}>⬆️</Text>
+        </Marker>
+      </MapView>
+
+      <View style={styles.controlPanel}>
+        <View style={styles.timeRow}>
+          <Text style={styles.timeText}>
+            {formatTime(Math.floor(((scrubbing ?? time) - replay.startTime) / 1000))} / {formatTime(Math.floor((replay.endTime - replay.startTime) / 1000))}
+          </Text>
+          <Text style={styles.clockText}>{new Date(scrubbing ?? time).toLocaleTimeString()}</Text>
+          {motion && <Text style={[styles.motionText, { color: motion.color }]}>{motion.label}</Text>}
+        </View>
+
+        <Slider
+          style={styles.slider}
+          minimumValue={replay.startTime}
+          maximumValue={replay.endTime}
+          value={time}
+          onValueChange={setScrubbing}
+          onSlidingComplete={endScrub}
+          minimumTrackTintColor="#10B981"
+          maximumTrackTintColor="#E5E7EB"
+          thumbTintColor="#10B981"
+        />
+
+        <View style={styles.speedRow}>
+          {SPEEDS.map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.speedButton, speed === value && styles.speedButtonActive]}
+              onPress={() => setSpeed(value)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.speedButtonText, speed === value && styles.speedButtonTextActive]}>
+                {value}x
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.mainButton, { backgroundColor: playing ? '#F59E0B' : '#10B981' }]}
+          onPress={togglePlay}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.mainButtonText}>{playing ? '⏸️ Pause' : '▶️ Play'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  map: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F8FAFC',
+    paddingHorizontal: 40,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  tractor: {
+    fontSize: 28,
+  },
+  controlPanel: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 16,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  timeText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  clockText: {
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  motionText: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  slider: {
+    width: '100%',
+    height: 40,
+    marginVertical: 8,
+  },
+  speedRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  speedButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+  },
+  speedButtonActive: {
+    backgroundColor: '#10B981',
+  },
+  speedButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  speedButtonTextActive: {
+    color: '#FFFFFF',
+  },
+  mainButton: {
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  mainButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
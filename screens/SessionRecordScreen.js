@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  SafeAreaView,
+  ActivityIndicator
+} from 'react-native';
+import MapView, { Polygon } from 'react-native-maps';
+import CoverageLayer from '../components/CoverageLayer';
+import { STATUS_STYLE } from '../components/SyncBadge';
+import { loadSessionRecord, syncStatusFor } from '../utils/sessionHistory';
+import { formatTime } from '../utils/format';
+import { getQueue, subscribe } from '../utils/syncQueue';
+import { MOTION_LABELS } from '../utils/motionClassifier';
+import { formatMoney, shareReceipt } from '../utils/billing';
+import { boundaryFeature, polygonShapes } from '../utils/coverage';
+
+// Frames the whole boundary with a little margin around it.
+const regionFor = (coords) => {
+  const lats = coords.map(c => c.latitude);
+  const lngs = coords.map(c => c.longitude);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2,
+    latitudeDelta: Math.max((maxLat - minLat) * 1.4, 0.001),
+    longitudeDelta: Math.max((maxLng - minLng) * 1.4, 0.001),
+  };
+};
+
+const SummaryRow = ({ label, value }) => (
+  <View style={styles.summaryRow}>
+    <Text style={styles.summaryLabel}>{label}</Text>
+    <Text style={styles.summaryValue}>{value}</Text>
+  </View>
+);
+
+export default function SessionRecordScreen({ route, navigation }) {
+  const { id } = route.params;
+  const [record, setRecord] = useState(null);
+  const [missing, setMissing] = useState(false);
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => {
+    loadSessionRecord(id).then(data => {
+      if (data) setRecord(data);
+      else setMissing(true);
+    });
+  }, [id]);
+
+  useEffect(() => {
+    getQueue().then(setQueue);
+    return subscribe(setQueue);
+  }, []);
+
+  if (!record) {
+    return (
+      <View style={styles.loadingContainer}>
+        {missing ? (
+          <>
+            <Text style={styles.loadingText}>This session record could not be found on the device.</Text>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+              <Text style={styles.secondaryButtonText}>Back</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <ActivityIndicator size="large" color="#10B981" />
+        )}
+      </View>
+    );
+  }
+
+  const { summary } = record;
+  const fieldShapes = polygonShapes(boundaryFeature(record.boundaryCoords, record.boundary));
+  const status = STATUS_STYLE[syncStatusFor(queue, record.syncId)];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <MapView
+        style={styles.map}
+        initialRegion={regionFor(fieldShapes.flatMap(shape => shape.coordinates))}
+        mapType="satellite"
+      >
+        {fieldShapes.map((shape, i) => (
+          <Polygon
+            key={i}
+            coordinates={shape.coordinates}
+            holes={shape.holes}
+            strokeColor="#10B981"
+            fillColor="rgba(16, 185, 129, 0.15)"
+            strokeWidth={3}
+          />
+        ))}
+        <CoverageLayer shapes={record.shapes} />
+      </MapView>
+
+      <ScrollView style={styles.summaryCard} contentContainerStyle={styles.summaryContent}>
+        <View style={styles.summaryHeader}>
+          <Text style={styles.summaryTitle}>{summary.farmerName} ({summary.farmId})</Text>
+          <View style={[styles.statusBadge, { backgroundColor: status.background }]}>
+            <Text style={[styles.statusBadgeText, { color: status.color }]}>
+              {status.icon} {status.label}
+            </Text>
+          </View>
+        </View>
+        <SummaryRow label="Field" value={record.fieldId} />
+        <SummaryRow label="Started" value={new Date(summary.startedAt).toLocaleString()} />
+        <SummaryRow label="Finished" value={new Date(summary.timestamp).toLocaleString()} />
+        <SummaryRow label="Implement" value={`${summary.implement.name} (${summary.implement.width}m)`} />
+        <SummaryRow label="Working time" value={formatTime(summary.sessionTime)} />
+        <SummaryRow label="Breaks" value={`${formatTime(summary.pausedTime)} (${summary.pauses.length})`} />
+        {summary.motionTime && Object.entries(summary.motionTime).map(([key, seconds]) => (
+          <SummaryRow key={key} label={`  ${MOTION_LABELS[key].label}`} value={formatTime(seconds)} />
+        ))}
+        <SummaryRow
+          label="Ploughed"
+          value={`${summary.ploughedArea.toFixed(2)} of ${summary.fieldArea.toFixed(2)} ac (${(summary.progress * 100).toFixed(1)}%)`}
+        />
+        {summary.headlandWidth > 0 && (
+          <>
+            <SummaryRow
+              label="Main zone"
+              value={`${summary.mainZonePloughed.toFixed(2)} of ${summary.mainZoneArea.toFixed(2)} ac`}
+            />
+            <SummaryRow
+              label={`Headland (${summary.headlandWidth} m)`}
+              value={`${summary.headlandPloughed.toFixed(2)} of ${summary.headlandArea.toFixed(2)} ac`}
+            />
+          </>
+        )}
+        <SummaryRow
+          label="Overlap"
+          value={`${summary.overlapPercent.toFixed(1)}% • re-worked ${summary.reworkedArea.toFixed(2)} ac`}
+        />
+        {summary.outOfFieldTime > 0 && (
+          <SummaryRow
+            label="Outside field"
+            value={`${formatTime(summary.outOfFieldTime)} • ${summary.outOfFieldDistance} m (${summary.excursions.length}×)`}
+          />
+        )}
+        {summary.missedAreas && (
+          <SummaryRow label="Missed areas" value={`${summary.missedAreas.length}`} />
+        )}
+
+        {summary.billing && (
+          <>
+            <SummaryRow
+              label={summary.billing.minimumApplied ? 'Amount due (minimum)' : 'Amount due'}
+              value={formatMoney(summary.billing.currency, summary.billing.amount)}
+            />
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => shareReceipt(summary)}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.primaryButtonText}>🧾 Share Receipt</Text>
+            </TouchableOpacity>
+          </>
+        )}
+        {record.track?.length > 1 && (
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('Replay', { id })}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.primaryButtonText}>▶️ Replay Track</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  map: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F8FAFC',
+    paddingHorizontal: 40,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  summaryCard: {
+    maxHeight: '50%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 16,
+  },
+  summaryContent: {
+    padding: 20,
+  },
+  summaryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  summaryTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginRight: 8,
+  },
+  statusBadge: {
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginRight: 12,
+  },
+  summaryValue: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    textAlign: 'right',
+  },
+  primaryButton: {
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  SafeAreaView
+} from 'react-native';
+import {
+  getQueue,
+  subscribe,
+  processQueue,
+  retryNow,
+  SYNC_STATUS
+} from '../utils/syncQueue';
+import { STATUS_STYLE } from '../components/SyncBadge';
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+export default function SyncStatusScreen({ navigation }) {
+  const [records, setRecords] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => {
+    getQueue().then(setRecords);
+    return subscribe(setRecords);
+  }, []);
+
+  const syncNow = async () => {
+    setSyncing(true);
+    await processQueue();
+    setSyncing(false);
+  };
+
+  const unsynced = records.filter(r => r.status !== SYNC_STATUS.synced).length;
+
+  const renderItem = ({ item }) => {
+    const status = STATUS_STYLE[item.status];
+    return (
+      <View style={styles.recordCard}>
+        <View style={styles.recordHeader}>
+          <Text style={styles.recordTitle}>{item.label}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: status.background }]}>
+            <Text style={[styles.statusBadgeText, { color: status.color }]}>
+              {status.icon} {status.label}
+            </Text>
+          </View>
+        </View>
+        <Text style={styles.recordDetail}>Created {formatDate(item.createdAt)}</Text>
+        {item.syncedAt && <Text style={styles.recordDetail}>Synced {formatDate(item.syncedAt)}</Text>}
+        {item.status !== SYNC_STATUS.synced && (
+          <>
+            <Text style={styles.recordDetail}>
+              Attempts: {item.attempts} • Next try {new Date(item.nextAttemptAt).toLocaleTimeString()}
+            </Text>
+            {item.lastError && <Text style={styles.recordError}>{item.lastError}</Text>}
+            <TouchableOpacity style={styles.retryButton} onPress={() => retryNow(item.id)} activeOpacity={0.8}>
+              <Text style={styles.retryButtonText}>Retry Now</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Sync Status</Text>
+        <Text style={styles.subtitle}>
+          {unsynced ? `${unsynced} record${unsynced > 1 ? 's' : ''} waiting to upload` : 'All records uploaded'}
+        </Text>
+      </View>
+      <FlatList
+        data={[...records].reverse()}
+        keyExtractor={item => item.id}
+        renderItem={renderItem}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={<Text style={styles.emptyText}>Nothing has been recorded yet.</Text>}
+      />
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.primaryButton, syncing && styles.primaryButtonDisabled]}
+          onPress={syncNow}
+          disabled={syncing}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.primaryButtonText}>{syncing ? 'Syncing...' : 'Sync Now'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  recordCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  recordHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  recordTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginRight: 8,
+  },
+  statusBadge: {
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  recordDetail: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  recordError: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 4,
+  },
+  retryButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginTop: 10,
+  },
+  retryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#6B7280',
+    marginTop: 40,
+    fontSize: 16,
+  },
+  footer: {
+    padding: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
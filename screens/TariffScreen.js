@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  SafeAreaView
+} from 'react-native';
+import { loadImplements } from '../utils/implements';
+import {
+  loadTariff,
+  saveTariff,
+  validateTariff,
+  BILLING_BASIS
+} from '../utils/billing';
+
+const FormField = ({ label, value, onChangeText, placeholder, keyboardType = 'decimal-pad' }) => (
+  <View style={styles.inputContainer}>
+    <Text style={styles.inputLabel}>{label}</Text>
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={onChangeText}
+      keyboardType={keyboardType}
+      placeholderTextColor="#9CA3AF"
+      placeholder={placeholder || label}
+    />
+  </View>
+);
+
+const toText = (value) => (value === undefined ? '' : String(value));
+// Blank override fields fall back to the default rate
+const toRate = (text) => (text.trim() === '' ? undefined : parseFloat(text));
+
+export default function TariffScreen({ navigation }) {
+  const [profiles, setProfiles] = useState([]);
+  const [basis, setBasis] = useState(BILLING_BASIS.acre);
+  const [form, setForm] = useState({ currency: '', ratePerAcre: '', ratePerHour: '', minimumCharge: '' });
+  const [overrides, setOverrides] = useState({});
+
+  useEffect(() => {
+    Promise.all([loadTariff(), loadImplements()]).then(([tariff, list]) => {
+      setProfiles(list);
+      setBasis(tariff.basis);
+      setForm({
+        currency: tariff.currency,
+        ratePerAcre: toText(tariff.ratePerAcre),
+        ratePerHour: toText(tariff.ratePerHour),
+        minimumCharge: toText(tariff.minimumCharge),
+      });
+      setOverrides(Object.fromEntries(list.map(p => {
+        const rates = tariff.implementRates[p.id] || {};
+        return [p.id, { ratePerAcre: toText(rates.ratePerAcre), ratePerHour: toText(rates.ratePerHour) }];
+      })));
+    });
+  }, []);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateOverride = (id, field, value) => {
+    setOverrides(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  };
+
+  const onSave = async () => {
+    const implementRates = {};
+    Object.entries(overrides).forEach(([id, rates]) => {
+      const entry = { ratePerAcre: toRate(rates.ratePerAcre), ratePerHour: toRate(rates.ratePerHour) };
+      if (entry.ratePerAcre !== undefined || entry.ratePerHour !== undefined) implementRates[id] = entry;
+    });
+    const tariff = {
+      basis,
+      currency: form.currency.trim(),
+      ratePerAcre: parseFloat(form.ratePerAcre || '0'),
+      ratePerHour: parseFloat(form.ratePerHour || '0'),
+      minimumCharge: parseFloat(form.minimumCharge || '0'),
+      implementRates,
+    };
+    const error = validateTariff(tariff);
+    if (error) {
+      Alert.alert('Invalid Tariff', error);
+      return;
+    }
+    await saveTariff(tariff);
+    navigation.goBack();
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.header}>
+          <Text style={styles.title}>Hire Tariff</Text>
+          <Text style={styles.subtitle}>How ploughing sessions are charged to the farmer</Text>
+        </View>
+
+        <View style={styles.formCard}>
+          <Text style={styles.sectionTitle}>💰 Charge By</Text>
+          <View style={styles.basisRow}>
+            {[
+              [BILLING_BASIS.acre, 'Ploughed acres'],
+              [BILLING_BASIS.hour, 'Working hours'],
+            ].map(([value, label]) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.basisButton, basis === value && styles.basisButtonActive]}
+                onPress={() => setBasis(value)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.basisButtonText, basis === value && styles.basisButtonTextActive]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <FormField
+            label="Currency Symbol"
+            value={form.currency}
+            onChangeText={(value) => updateField('currency', value)}
+            keyboardType="default"
+          />
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              <FormField
+                label="Rate per Acre"
+                value={form.ratePerAcre}
+                onChangeText={(value) => updateField('ratePerAcre', value)}
+              />
+            </View>
+            <View style={styles.rowItem}>
+              <FormField
+                label="Rate per Hour"
+                value={form.ratePerHour}
+                onChangeText={(value) => updateField('ratePerHour', value)}
+              />
+            </View>
+          </View>
+          <FormField
+            label="Minimum Charge"
+            value={form.minimumCharge}
+            onChangeText={(value) => updateField('minimumCharge', value)}
+          />
+        </View>
+
+        <View style={styles.formCard}>
+          <Text style={styles.sectionTitle}>🚜 Implement Rates</Text>
+          <Text style={styles.hint}>Leave blank to use the rates above.</Text>
+          {profiles.map(profile => (
+            <View key={profile.id}>
+              <Text style={styles.implementName}>{profile.name}</Text>
+              <View style={styles.row}>
+                <View style={styles.rowItem}>
+                  <FormField
+                    label="Per Acre"
+                    placeholder="Default"
+                    value={overrides[profile.id]?.ratePerAcre || ''}
+                    onChangeText={(value) => updateOverride(profile.id, 'ratePerAcre', value)}
+                  />
+                </View>
+                <View style={styles.rowItem}>
+                  <FormField
+                    label="Per Hour"
+                    placeholder="Default"
+                    value={overrides[profile.id]?.ratePerHour || ''}
+                    onChangeText={(value) => updateOverride(profile.id, 'ratePerHour', value)}
+                  />
+                </View>
+              </View>
+            </View>
+          ))}
+        </View>
+
+        <TouchableOpacity style={styles.saveButton} onPress={onSave} activeOpacity={0.8}>
+          <Text style={styles.saveButtonText}>Save Tariff</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.cancelButton} onPress={() => navigation.goBack()} activeOpacity={0.8}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingTop: 60,
+  },
+  header: {
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#374151',
+    marginBottom: 16,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  basisRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+  basisButton: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  basisButtonActive: {
+    backgroundColor: '#10B981',
+  },
+  basisButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  basisButtonTextActive: {
+    color: '#FFFFFF',
+  },
+  implementName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  inputContainer: {
+    marginBottom: 14,
+  },
+  inputLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1F2937',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  saveButton: {
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  cancelButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,92 @@
+import { Share } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const TARIFF_KEY = 'billingTariff';
+
+export const BILLING_BASIS = {
+  acre: 'acre',
+  hour: 'hour',
+};
+
+// Rates apply to every implement unless it has its own entry in
+// `implementRates` ({ [implementId]: { ratePerAcre, ratePerHour } }).
+export const DEFAULT_TARIFF = {
+  basis: BILLING_BASIS.acre,
+  currency: '₹',
+  ratePerAcre: 0,
+  ratePerHour: 0,
+  minimumCharge: 0,
+  implementRates: {},
+};
+
+// Returns an error message for an invalid tariff, or null when it can be saved.
+export function validateTariff(tariff) {
+  const rates = [
+    tariff.ratePerAcre,
+    tariff.ratePerHour,
+    tariff.minimumCharge,
+    ...Object.values(tariff.implementRates).flatMap(r => [r.ratePerAcre, r.ratePerHour]),
+  ];
+  if (rates.some(rate => rate !== undefined && !(rate >= 0))) return 'Rates and charges cannot be negative.';
+  if (!tariff.currency || !tariff.currency.trim()) return 'Currency symbol is required.';
+  return null;
+}
+
+export async function loadTariff() {
+  const data = await AsyncStorage.getItem(TARIFF_KEY);
+  return { ...DEFAULT_TARIFF, ...(data ? JSON.parse(data) : {}) };
+}
+
+export async function saveTariff(tariff) {
+  await AsyncStorage.setItem(TARIFF_KEY, JSON.stringify(tariff));
+}
+
+// Amount due for a session, billed on ploughed acres or working hours,
+// whichever the tariff is set to, and never less than the minimum charge.
+export function computeCharge(tariff, { implementId, acres, workedSeconds }) {
+  const override = tariff.implementRates[implementId] || {};
+  const byAcre = tariff.basis === BILLING_BASIS.acre;
+  const rate = byAcre
+    ? override.ratePerAcre ?? tariff.ratePerAcre
+    : override.ratePerHour ?? tariff.ratePerHour;
+  const quantity = byAcre ? acres : workedSeconds / 3600;
+  const subtotal = Math.round(rate * quantity * 100) / 100;
+  const minimumApplied = subtotal < tariff.minimumCharge;
+  return {
+    basis: tariff.basis,
+    currency: tariff.currency,
+    rate,
+    quantity: Math.round(quantity * 100) / 100,
+    subtotal,
+    minimumCharge: tariff.minimumCharge,
+    minimumApplied,
+    amount: minimumApplied ? tariff.minimumCharge : subtotal,
+  };
+}
+
+export const formatMoney = (currency, value) => `${currency}${value.toFixed(2)}`;
+
+// Plain-text receipt for sharing with the farmer over SMS or chat.
+export function receiptText(summary) {
+  const { billing } = summary;
+  const unit = billing.basis === BILLING_BASIS.acre ? 'ac' : 'h';
+  const lines = [
+    'PLOUGHING RECEIPT',
+    `Date: ${new Date(summary.timestamp).toLocaleString()}`,
+    `Farmer: ${summary.farmerName} (${summary.farmId})`,
+    `Implement: ${summary.implement.name}`,
+    `Area ploughed: ${summary.ploughedArea.toFixed(2)} of ${summary.fieldArea.toFixed(2)} ac`,
+    `Working time: ${(summary.sessionTime / 3600).toFixed(2)} h`,
+    '',
+    `${billing.quantity.toFixed(2)} ${unit} × ${formatMoney(billing.currency, billing.rate)}/${unit} = ${formatMoney(billing.currency, billing.subtotal)}`,
+  ];
+  if (billing.minimumApplied) {
+    lines.push(`Minimum charge applies: ${formatMoney(billing.currency, billing.minimumCharge)}`);
+  }
+  lines.push(`AMOUNT DUE: ${formatMoney(billing.currency, billing.amount)}`);
+  return lines.join('\n');
+}
+
+export function shareReceipt(summary) {
+  return Share.share({ title: 'Ploughing Receipt', message: receiptText(summary) });
+}
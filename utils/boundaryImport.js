@@ -0,0 +1,267 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as turf from '@turf/turf';
+import proj4 from 'proj4';
+import { unzipSync, strFromU8 } from 'fflate';
+// A deep import past shpjs's `exports` map (Metro resolves it with a
+// warning), so shpjs is pinned to an exact version in package.json: a patch
+// release may move or change this file.
+import parseShp from 'shpjs/lib/parseShp.js';
+import { SQM_PER_ACRE } from './units';
+
+export const IMPORT_TYPES = {
+  geojson: ['geojson', 'json'],
+  kml: ['kml'],
+  shapefile: ['zip'],
+};
+
+const extensionOf = (name) => (name || '').split('.').pop().toLowerCase();
+
+const typeFor = (name) => {
+  const extension = extensionOf(name);
+  return Object.keys(IMPORT_TYPES).find(type => IMPORT_TYPES[type].includes(extension)) || null;
+};
+
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const tagText = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+};
+
+const allTags = (xml, tag) => xml.match(new RegExp(`<(?:\\w+:)?${tag}[\\s>][\\s\\S]*?</(?:\\w+:)?${tag}>`, 'g')) || [];
+
+const kmlRing = (xml) => (tagText(xml, 'coordinates') || '')
+  .replace(/\s*,\s*/g, ',')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+// Polygons out of a KML document as GeoJSON features, one per polygon, so
+// each polygon of a <MultiGeometry> is offered on its own. Inner rings
+// become holes. CDATA sections are escaped first, so markup inside a name
+// or description cannot be mistaken for KML elements. Styles, folders and
+// other geometry are ignored.
+export function parseKml(text) {
+  const xml = text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, content) => escapeXml(content))
+    .replace(/<!--[\s\S]*?-->/g, '');
+  const features = [];
+  allTags(xml, 'Placemark').forEach((placemark, index) => {
+    const name = unescapeXml(tagText(placemark, 'name') || `Placemark ${index + 1}`);
+    const polygons = allTags(placemark, 'Polygon');
+    polygons.forEach((polygon, part) => {
+      const outer = tagText(polygon, 'outerBoundaryIs');
+      if (!outer) throw new Error(`"${name}" has a polygon without an outer boundary.`);
+      // Some writers put several rings in one innerBoundaryIs
+      const holes = allTags(polygon, 'innerBoundaryIs')
+        .flatMap(inner => allTags(inner, 'LinearRing'))
+        .map(kmlRing);
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [kmlRing(outer), ...holes] },
+        properties: { name: polygons.length > 1 ? `${name} (part ${part + 1})` : name },
+      });
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Attribute rows of a .dbf file. Text is UTF-8 when the .cpg says so and
+// Latin-1 otherwise. Read here rather than with shpjs's parser, which needs
+// TextDecoder.
+function parseDbf(bytes, codePage) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+  const utf8 = /utf-?8/i.test(codePage || '');
+  const text = (start, length) => strFromU8(bytes.subarray(start, start + length), !utf8).replace(/\0/g, '').trim();
+  const fields = [];
+  for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0d; offset += 32) {
+    fields.push({ name: text(offset, 11), type: String.fromCharCode(bytes[offset + 11]), length: bytes[offset + 16] });
+  }
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    let offset = headerLength + i * recordLength + 1; // past the deleted flag
+    if (offset + recordLength - 1 > bytes.length) break;
+    const row = {};
+    fields.forEach(({ name, type, length }) => {
+      const value = text(offset, length);
+      row[name] = (type === 'N' || type === 'F') && value !== '' ? Number(value) : value;
+      offset += length;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Every layer of a zipped shapefile as GeoJSON features. The archive is
+// inflated with fflate and each .shp goes to shpjs's geometry parser,
+// reprojected from its .prj; shpjs's own zip reader relies on browser APIs
+// that Hermes does not have.
+function readShapefileZip(bytes) {
+  let files;
+  try {
+    files = unzipSync(bytes, {
+      filter: file => /\.(shp|dbf|prj|cpg)$/i.test(file.name) && !file.name.includes('__MACOSX'),
+    });
+  } catch (e) {
+    throw new Error('The zip file could not be opened.');
+  }
+  const layers = {};
+  Object.keys(files).forEach(path => {
+    const name = path.slice(0, -4);
+    layers[name] = { ...layers[name], [path.slice(-3).toLowerCase()]: files[path] };
+  });
+  const names = Object.keys(layers).filter(name => layers[name].shp);
+  if (!names.length) throw new Error('The zip file does not contain a shapefile (.shp).');
+
+  const features = names.flatMap(name => {
+    const { shp, dbf, prj, cpg } = layers[name];
+    const layer = name.split('/').pop();
+    let projection = false;
+    if (prj) {
+      try {
+        projection = proj4(strFromU8(prj, true));
+      } catch (e) {
+        throw new Error(`Unsupported coordinate system in ${layer}.prj`);
+      }
+    }
+    const geometries = parseShp(new DataView(shp.buffer, shp.byteOffset, shp.byteLength), projection);
+    const records = dbf ? parseDbf(dbf, cpg && strFromU8(cpg, true)) : [];
+    return geometries.map((geometry, i) => ({
+      type: 'Feature',
+      geometry,
+      properties: { ...records[i], layer },
+    }));
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// proj4 definition for the CRS named in a (pre-2016) GeoJSON `crs` member
+const crsDefinition = (crs) => {
+  const name = crs?.properties?.name;
+  if (!name) return null;
+  const code = name.match(/EPSG::?(\d+)/i)?.[1] || (/CRS84$/i.test(name) ? '4326' : null);
+  if (!code) throw new Error(`Unsupported coordinate system: ${name}`);
+  const epsg = Number(code);
+  if (epsg === 4326 || epsg === 4269) return null;
+  if (epsg === 3857 || epsg === 900913) return 'EPSG:3857';
+  // WGS84 UTM zones, north and south
+  if ((epsg > 32600 && epsg <= 32660) || (epsg > 32700 && epsg <= 32760)) {
+    const south = epsg > 32700 ? ' +south' : '';
+    return `+proj=utm +zone=${epsg % 100}${south} +datum=WGS84 +units=m +no_defs`;
+  }
+  throw new Error(`Unsupported coordinate system: EPSG:${epsg}`);
+};
+
+const reprojectGeoJson = (geojson, definition) => {
+  const toWgs84 = proj4(definition, 'EPSG:4326');
+  turf.coordEach(geojson, coord => {
+    const [lng, lat] = toWgs84.forward([coord[0], coord[1]]);
+    coord[0] = lng;
+    coord[1] = lat;
+  });
+  return geojson;
+};
+
+async function readFile(asset) {
+  const type = typeFor(asset.name);
+  if (type === 'shapefile') {
+    const base64 = await FileSystem.readAsStringAsync(asset.uri, { encoding: FileSystem.EncodingType.Base64 });
+    return readShapefileZip(base64ToBytes(base64));
+  }
+  const text = await FileSystem.readAsStringAsync(asset.uri);
+  if (type === 'kml') return parseKml(text);
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid GeoJSON.');
+  }
+  const definition = crsDefinition(geojson.crs);
+  return definition ? reprojectGeoJson(geojson, definition) : geojson;
+}
+
+const featureName = (properties, index) => {
+  const props = properties || {};
+  const name = props.name || props.Name || props.NAME || props.title || props.id;
+  return name ? String(name) : `Polygon ${index + 1}`;
+};
+
+// Map coordinates for a GeoJSON ring, without the repeated closing point
+const toCoords = (ring) => {
+  const open = ring.map(([lng, lat]) => [lng, lat]);
+  if (open.length > 1) {
+    const [first, last] = [open[0], open[open.length - 1]];
+    if (first[0] === last[0] && first[1] === last[1]) open.pop();
+  }
+  return open;
+};
+
+// Checks one polygon and converts its rings to map coordinates. Inner rings
+// come across as exclusion zones.
+function toCandidate(rings, name) {
+  const ring = toCoords(rings[0]);
+  const holes = rings.slice(1).map(toCoords).filter(hole => hole.length >= 3);
+  const candidate = {
+    name,
+    coords: ring.map(([lng, lat]) => ({ latitude: lat, longitude: lng })),
+    holes: holes.map(hole => hole.map(([lng, lat]) => ({ latitude: lat, longitude: lng }))),
+    area: 0,
+    issue: null,
+  };
+  if (ring.length < 3) {
+    candidate.issue = 'Fewer than 3 points';
+    return candidate;
+  }
+  if (ring.some(([lng, lat]) => !(Math.abs(lat) <= 90 && Math.abs(lng) <= 180))) {
+    candidate.issue = 'Coordinates are not latitude/longitude';
+    return candidate;
+  }
+  const polygon = turf.polygon([[...ring, ring[0]]]);
+  const holeArea = holes.reduce((sum, hole) => sum + turf.area(turf.polygon([[...hole, hole[0]]])), 0);
+  candidate.area = Math.max(turf.area(polygon) - holeArea, 0) / SQM_PER_ACRE; // acres
+  if (turf.kinks(polygon).features.length > 0) candidate.issue = 'Boundary lines cross';
+  else if (candidate.area === 0) candidate.issue = 'Zero area';
+  return candidate;
+}
+
+// Every polygon in the imported data, one entry per part of a multipolygon.
+export function polygonCandidates(geojson) {
+  const candidates = [];
+  turf.flattenEach(geojson, (feature, featureIndex) => {
+    if (feature.geometry?.type !== 'Polygon') return;
+    candidates.push(toCandidate(feature.geometry.coordinates, featureName(feature.properties, featureIndex)));
+  });
+  return candidates;
+}
+
+// Lets the user choose a boundary file and returns the polygons in it, or
+// null when the picker was cancelled.
+export async function importBoundaryFile() {
+  const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+  if (result.canceled || !result.assets?.length) return null;
+  const asset = result.assets[0];
+  if (!typeFor(asset.name)) {
+    throw new Error('Choose a GeoJSON (.geojson, .json), KML (.kml) or zipped shapefile (.zip).');
+  }
+  const candidates = polygonCandidates(await readFile(asset));
+  if (!candidates.length) throw new Error('No polygons were found in this file.');
+  return { fileName: asset.name, candidates };
+}
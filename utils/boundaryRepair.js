@@ -0,0 +1,107 @@
+import * as turf from '@turf/turf';
+import { METERS_PER_DEGREE, SQM_PER_ACRE } from './units';
+
+const projectRing = (coords) => {
+  const origin = coords[0];
+  const cosLat = Math.cos(origin.latitude * Math.PI / 180);
+  return {
+    points: coords.map(({ latitude, longitude }) => [
+      (longitude - origin.longitude) * METERS_PER_DEGREE * cosLat,
+      (latitude - origin.latitude) * METERS_PER_DEGREE,
+    ]),
+    toLatLng: ([x, y]) => ({
+      latitude: origin.latitude + y / METERS_PER_DEGREE,
+      longitude: origin.longitude + x / (METERS_PER_DEGREE * cosLat),
+    }),
+  };
+};
+
+// Where segments a1→a2 and b1→b2 cross, as [x, y], or null
+const segmentCrossing = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+  const rx = bx - ax;
+  const ry = by - ay;
+  const sx = dx - cx;
+  const sy = dy - cy;
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) return null; // parallel
+  const t = ((cx - ax) * sy - (cy - ay) * sx) / denominator;
+  const u = ((cx - ax) * ry - (cy - ay) * rx) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return [ax + t * rx, ay + t * ry];
+};
+
+function projectedCrossings(points) {
+  const n = points.length;
+  const crossings = [];
+  if (n < 4) return crossings;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // the closing edge shares point 0
+      const at = segmentCrossing(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n]);
+      if (at) crossings.push({ at, edges: [i, j] });
+    }
+  }
+  return crossings;
+}
+
+// Every place the boundary ring crosses itself. `edges` are the indices of
+// the two crossing edges, edge i running from point i to point i + 1.
+export function findCrossings(coords) {
+  if (coords.length < 4) return [];
+  const { points, toLatLng } = projectRing(coords);
+  return projectedCrossings(points).map(({ at, edges }) => ({ coordinate: toLatLng(at), edges }));
+}
+
+const ringArea = (coords) => {
+  const ring = coords.map(c => [c.longitude, c.latitude]);
+  ring.push(ring[0]);
+  return turf.area(turf.polygon([ring])) / SQM_PER_ACRE; // acres
+};
+
+// Splits the ring at its crossings into simple polygons and keeps the
+// largest, or returns null when the ring cannot be untangled.
+export function untangleRing(coords) {
+  const ring = coords.map(c => [c.longitude, c.latitude]);
+  ring.push(ring[0]);
+  let parts;
+  try {
+    parts = turf.unkinkPolygon(turf.polygon([ring])).features;
+  } catch (e) {
+    return null;
+  }
+  if (!parts.length) return null;
+  const largest = parts.reduce((best, part) => (turf.area(part) > turf.area(best) ? part : best));
+  const result = largest.geometry.coordinates[0].slice(0, -1).map(([longitude, latitude]) => ({ latitude, longitude }));
+  if (result.length < 3) return null;
+  return { coords: result, area: ringArea(result), parts: parts.length };
+}
+
+// Removes one vertex at a time from the crossing edges, each time the one
+// that clears the most crossings (keeping the most area on a tie), until
+// the ring is simple. Returns null if that would leave fewer than 3 points.
+export function removeCrossingVertices(coords) {
+  let current = coords;
+  let remaining = findCrossings(current);
+  const removed = [];
+  while (remaining.length) {
+    if (current.length <= 3) return null;
+    const candidates = new Set();
+    remaining.forEach(({ edges: [i, j] }) => {
+      [i, i + 1, j, j + 1].forEach(index => candidates.add(index % current.length));
+    });
+    let best = null;
+    candidates.forEach(index => {
+      const next = current.filter((_, k) => k !== index);
+      const { points } = projectRing(next);
+      const count = projectedCrossings(points).length;
+      const area = count === 0 ? ringArea(next) : 0;
+      if (!best || count < best.count || (count === best.count && area > best.area)) {
+        best = { index, next, count, area };
+      }
+    });
+    removed.push(current[best.index]);
+    current = best.next;
+    remaining = findCrossings(current);
+  }
+  return { coords: current, area: ringArea(current), removed };
+}
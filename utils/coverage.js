@@ -0,0 +1,565 @@
+import * as turf from '@turf/turf';
+import { SQM_PER_ACRE, METERS_PER_DEGREE } from './units';
+
+// Fixes further apart than this are treated as a signal gap, not a pass.
+const MAX_SEGMENT_LENGTH = 25; // meters
+
+// Local flat projection around the field, accurate to well under a
+// centimetre over the few hundred metres a field spans.
+function makeProjection(bbox) {
+  const [minX, minY, , maxY] = bbox;
+  const metersPerLon = METERS_PER_DEGREE * Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+  return {
+    toXY: (lon, lat) => [(lon - minX) * metersPerLon, (lat - minY) * METERS_PER_DEGREE],
+    toLonLat: (x, y) => [minX + x / metersPerLon, minY + y / METERS_PER_DEGREE],
+  };
+}
+
+// Outer rings and exclusion-zone rings alike, as lists of [lon, lat].
+const allRings = (feature) => turf.flatten(feature).features.flatMap(polygon => turf.getCoords(polygon));
+
+const AREA_SAMPLES = 8; // scanlines per row of cells when measuring cell area
+
+// Splits the field into square cells on a projected grid and records how much
+// of each cell actually lies inside the boundary, so edge cells don't inflate
+// the area. `index` maps row * cols + col to a cell id (or -1), which lets any
+// coordinate be resolved to its cell with plain arithmetic.
+// The area is measured along a few horizontal scanlines per row of cells:
+// each line is cut where it crosses the boundary's edges, and by the
+// even-odd rule the spans between alternate crossings lie inside the field,
+// exclusion zones and separate parts included.
+export function buildGrid(boundary, cellSize) {
+  const bbox = turf.bbox(boundary);
+  const projection = makeProjection(bbox);
+  const [widthM, heightM] = projection.toXY(bbox[2], bbox[3]);
+  const cols = Math.max(1, Math.ceil(widthM / cellSize));
+  const rows = Math.max(1, Math.ceil(heightM / cellSize));
+
+  // Projected edges as x0, y0, x1, y1, listed under every row they reach
+  const edges = [];
+  const rowEdges = Array.from({ length: rows }, () => []);
+  allRings(boundary).forEach(ring => {
+    const points = ring.map(([lon, lat]) => projection.toXY(lon, lat));
+    for (let i = 0; i + 1 < points.length; i++) {
+      const [x0, y0] = points[i];
+      const [x1, y1] = points[i + 1];
+      if (y0 === y1) continue; // never crosses a scanline
+      const edge = edges.length;
+      edges.push(x0, y0, x1, y1);
+      const first = Math.max(0, Math.floor(Math.min(y0, y1) / cellSize));
+      const last = Math.min(rows - 1, Math.floor(Math.max(y0, y1) / cellSize));
+      for (let row = first; row <= last; row++) rowEdges[row].push(edge);
+    }
+  });
+
+  const inside = new Float64Array(rows * cols); // m² of each cell inside the boundary
+  const step = cellSize / AREA_SAMPLES;
+  const addSpan = (row, from, to) => {
+    const start = Math.max(0, from);
+    const end = Math.min(cols * cellSize, to);
+    for (let col = Math.floor(start / cellSize); col < cols && col * cellSize < end; col++) {
+      const left = Math.max(start, col * cellSize);
+      const right = Math.min(end, (col + 1) * cellSize);
+      if (right > left) inside[row * cols + col] += (right - left) * step;
+    }
+  };
+  const crossings = [];
+  for (let row = 0; row < rows; row++) {
+    for (let sample = 0; sample < AREA_SAMPLES; sample++) {
+      const y = row * cellSize + (sample + 0.5) * step;
+      crossings.length = 0;
+      rowEdges[row].forEach(edge => {
+        const y0 = edges[edge + 1];
+        const y1 = edges[edge + 3];
+        if ((y0 > y) === (y1 > y)) return;
+        const x0 = edges[edge];
+        crossings.push(x0 + ((y - y0) * (edges[edge + 2] - x0)) / (y1 - y0));
+      });
+      crossings.sort((a, b) => a - b);
+      for (let i = 0; i + 1 < crossings.length; i += 2) addSpan(row, crossings[i], crossings[i + 1]);
+    }
+  }
+
+  const index = new Int32Array(rows * cols).fill(-1);
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const area = inside[row * cols + col];
+      if (area <= 0) continue;
+      const id = cells.length;
+      index[row * cols + col] = id;
+      cells.push({
+        id,
+        row,
+        col,
+        center: projection.toLonLat((col + 0.5) * cellSize, (row + 0.5) * cellSize),
+        area, // m² inside the boundary
+      });
+    }
+  }
+  return { cells, index, rows, cols, cellSize, projection };
+}
+
+// Id of the cell containing a coordinate, or -1 outside the field.
+export function cellAt(grid, longitude, latitude) {
+  const [x, y] = grid.projection.toXY(longitude, latitude);
+  const col = Math.floor(x / grid.cellSize);
+  const row = Math.floor(y / grid.cellSize);
+  if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) return -1;
+  return grid.index[row * grid.cols + col];
+}
+
+// Ids of the cells whose centre lies within half the implement width of the
+// path between two fixes, i.e. inside that path buffered into a swath.
+// Only the grid rows and columns around the segment are visited.
+export function cellsInSwath(grid, from, to, width) {
+  const { cellSize, cols, rows, index } = grid;
+  const [ax, ay] = grid.projection.toXY(from.longitude, from.latitude);
+  const [bx, by] = grid.projection.toXY(to.longitude, to.latitude);
+  const half = width / 2;
+  const colStart = Math.max(0, Math.floor((Math.min(ax, bx) - half) / cellSize));
+  const colEnd = Math.min(cols - 1, Math.floor((Math.max(ax, bx) + half) / cellSize));
+  const rowStart = Math.max(0, Math.floor((Math.min(ay, by) - half) / cellSize));
+  const rowEnd = Math.min(rows - 1, Math.floor((Math.max(ay, by) + half) / cellSize));
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const ids = [];
+  for (let row = rowStart; row <= rowEnd; row++) {
+    for (let col = colStart; col <= colEnd; col++) {
+      const id = index[row * cols + col];
+      if (id < 0) continue;
+      const px = (col + 0.5) * cellSize;
+      const py = (row + 0.5) * cellSize;
+      const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+        : 0;
+      const ex = px - (ax + t * dx);
+      const ey = py - (ay + t * dy);
+      if (ex * ex + ey * ey <= half * half) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Remembers which cells were swept within the last implement width of
+// travel. Start a new one whenever the chain of fixes is broken.
+export function createPassTracker() {
+  return { travelled: 0, touched: new Map() };
+}
+
+// Marks the cells swept between two fixes and returns the ids of this swath.
+// A cell swept again before the implement has travelled a full width past it
+// is not given another pass: consecutive swaths overlap where they join, and
+// GPS jitter while creeping or standing still keeps sweeping the same cells.
+export function applySegment(grid, counts, from, to, width, tracker = createPassTracker(), tally = null) {
+  const length = turf.distance(
+    [from.longitude, from.latitude],
+    [to.longitude, to.latitude],
+    { units: 'meters' }
+  );
+  if (length > MAX_SEGMENT_LENGTH) return { ids: [], added: 0 };
+  tracker.travelled += length;
+
+  const ids = cellsInSwath(grid, from, to, width);
+  let added = 0;
+  ids.forEach(id => {
+    const last = tracker.touched.get(id);
+    tracker.touched.set(id, tracker.travelled);
+    if (last !== undefined && tracker.travelled - last <= width) return;
+    const before = counts.get(id) || 0;
+    if (!before) added++;
+    counts.set(id, before + 1);
+    if (tally) countPass(grid, tally, id, before);
+  });
+  tracker.touched.forEach((at, id) => {
+    if (tracker.travelled - at > width) tracker.touched.delete(id);
+  });
+  return { ids, added };
+}
+
+export function coveredArea(grid, counts) {
+  let sqm = 0;
+  counts.forEach((passes, id) => {
+    const cell = grid.cells[id];
+    if (cell) sqm += cell.area;
+  });
+  return sqm / SQM_PER_ACRE; // acres
+}
+
+// Running totals over a session's pass counts, kept up to date by
+// applySegment from the cells each segment touched so the figures shown
+// while ploughing never need a scan of the whole field. `headland` flags
+// headland cells (see headlandZones) and `prior` holds the ids covered by
+// earlier sessions of the job, which count towards the field and zone totals.
+export function createTally(grid, counts, { headland = null, prior = null } = {}) {
+  const tally = {
+    headland,
+    prior,
+    coveredSqm: 0, // this session
+    overlapSqm: 0,
+    reworkedSqm: 0,
+    byPasses: new Map(), // pass count → m²
+    fieldSqm: 0, // this session and earlier ones
+    zoneSqm: { headland: 0, main: 0 },
+  };
+  const addField = (id) => {
+    const { area } = grid.cells[id];
+    tally.fieldSqm += area;
+    if (headland && headland[id]) tally.zoneSqm.headland += area;
+    else tally.zoneSqm.main += area;
+  };
+  if (prior) prior.forEach(addField);
+  counts.forEach((passes, id) => {
+    if (!grid.cells[id]) return;
+    for (let before = 0; before < passes; before++) countPass(grid, tally, id, before);
+  });
+  return tally;
+}
+
+// Adds one pass over a cell that had `before` passes.
+function countPass(grid, tally, id, before) {
+  const { area } = grid.cells[id];
+  if (before === 0) {
+    tally.coveredSqm += area;
+    if (!tally.prior || !tally.prior.has(id)) {
+      tally.fieldSqm += area;
+      if (tally.headland && tally.headland[id]) tally.zoneSqm.headland += area;
+      else tally.zoneSqm.main += area;
+    }
+  } else {
+    tally.byPasses.set(before, tally.byPasses.get(before) - area);
+    if (before === 1) tally.overlapSqm += area;
+    tally.reworkedSqm += area;
+  }
+  tally.byPasses.set(before + 1, (tally.byPasses.get(before + 1) || 0) + area);
+}
+
+// The tally in acres. Re-worked area is counted once per extra pass, and
+// dividing it by the implement width gives the distance driven over ground
+// already done.
+export function tallyTotals(tally, width) {
+  const histogram = Array.from(tally.byPasses.entries())
+    .filter(([, sqm]) => sqm > 1e-6)
+    .sort((a, b) => a[0] - b[0])
+    .map(([passes, sqm]) => ({ passes, area: sqm / SQM_PER_ACRE }));
+  return {
+    covered: tally.coveredSqm / SQM_PER_ACRE,
+    fieldCovered: tally.fieldSqm / SQM_PER_ACRE,
+    zones: {
+      headland: tally.zoneSqm.headland / SQM_PER_ACRE,
+      main: tally.zoneSqm.main / SQM_PER_ACRE,
+    },
+    overlap: {
+      overlapArea: tally.overlapSqm / SQM_PER_ACRE, // acres
+      overlapPercent: tally.coveredSqm > 0 ? (tally.overlapSqm / tally.coveredSqm) * 100 : 0,
+      reworkedArea: tally.reworkedSqm / SQM_PER_ACRE, // acres
+      wastedDistance: width > 0 ? tally.reworkedSqm / width : 0, // meters
+      histogram,
+    },
+  };
+}
+
+const signedArea = (ring) => {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return sum / 2;
+};
+
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Drops vertices that sit in the middle of a straight run of cell edges.
+const dropCollinear = (ring) => ring.filter((p, i) => {
+  const prev = ring[(i + ring.length - 1) % ring.length];
+  const next = ring[(i + 1) % ring.length];
+  return (p[0] - prev[0]) * (next[1] - p[1]) !== (p[1] - prev[1]) * (next[0] - p[0]);
+});
+
+// Outline polygons of a set of grid positions (row * cols + col), found by
+// walking the edges of the cell raster.
+function traceSelection(grid, selected) {
+  const { cols } = grid;
+  const key = (col, row) => row * (cols + 1) + col;
+  const has = (col, row) => col >= 0 && col < cols && selected.has(row * cols + col);
+
+  // Directed outline edges with the covered side on the left
+  const edges = new Map();
+  const addEdge = (x0, y0, x1, y1) => {
+    const from = key(x0, y0);
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push([x1, y1]);
+  };
+  selected.forEach(rc => {
+    const row = Math.floor(rc / cols);
+    const col = rc % cols;
+    if (!has(col, row - 1)) addEdge(col, row, col + 1, row);
+    if (!has(col + 1, row)) addEdge(col + 1, row, col + 1, row + 1);
+    if (!has(col, row + 1)) addEdge(col + 1, row + 1, col, row + 1);
+    if (!has(col - 1, row)) addEdge(col, row + 1, col, row);
+  });
+
+  const outers = [];
+  const holes = [];
+  edges.forEach((list, start) => {
+    while (list.length) {
+      const ring = [[start % (cols + 1), Math.floor(start / (cols + 1))]];
+      let next = list.pop();
+      while (key(next[0], next[1]) !== start) {
+        ring.push(next);
+        next = edges.get(key(next[0], next[1])).pop();
+      }
+      const simplified = dropCollinear(ring);
+      (signedArea(simplified) > 0 ? outers : holes).push(simplified);
+    }
+  });
+
+  const polygons = outers.map(outer => ({ outer, holes: [] }));
+  holes.forEach(hole => {
+    // A point just inside the covered side of the hole's first edge
+    const [a, b] = hole;
+    const probe = [
+      (a[0] + b[0]) / 2 - (b[1] - a[1]) * 0.25,
+      (a[1] + b[1]) / 2 + (b[0] - a[0]) * 0.25,
+    ];
+    const owner = polygons.find(p => pointInRing(probe, p.outer));
+    if (owner) owner.holes.push(hole);
+  });
+
+  const toLonLat = ([col, row]) => grid.projection.toLonLat(col * grid.cellSize, row * grid.cellSize);
+  return polygons.map(({ outer, holes: inner }) => ({
+    outer: outer.map(toLonLat),
+    holes: inner.map(h => h.map(toLonLat)),
+  }));
+}
+
+// Dissolves the covered cells matching `test(passes)` into a handful of
+// polygons with holes. Rendering these instead of one overlay per cell keeps
+// the map fast on large fields.
+export function traceCoverage(grid, counts, test = () => true) {
+  const selected = new Set();
+  counts.forEach((passes, id) => {
+    const cell = grid.cells[id];
+    if (cell && test(passes)) selected.add(cell.row * grid.cols + cell.col);
+  });
+  return traceSelection(grid, selected);
+}
+
+// Row and column of each given cell. These stay meaningful for any grid
+// later built over the same boundary, whatever its cell size, because every
+// grid starts at the corner of the boundary's bounding box.
+export function cellPositions(grid, ids) {
+  return ids.map(id => [grid.cells[id].row, grid.cells[id].col]);
+}
+
+// Ids of the cells in `grid` whose centre lies inside any of the given
+// cells from a grid of `cellSize`.
+export function cellsFromPositions(grid, positions, cellSize) {
+  const ids = new Set();
+  const scale = cellSize / grid.cellSize;
+  positions.forEach(([row, col]) => {
+    const rowStart = Math.max(0, Math.ceil(row * scale - 0.5));
+    const rowEnd = Math.min(grid.rows, Math.ceil((row + 1) * scale - 0.5));
+    const colStart = Math.max(0, Math.ceil(col * scale - 0.5));
+    const colEnd = Math.min(grid.cols, Math.ceil((col + 1) * scale - 0.5));
+    for (let r = rowStart; r < rowEnd; r++) {
+      for (let c = colStart; c < colEnd; c++) {
+        const id = grid.index[r * grid.cols + c];
+        if (id >= 0) ids.add(id);
+      }
+    }
+  });
+  return ids;
+}
+
+const toLatLng = ([longitude, latitude]) => ({ latitude, longitude });
+
+const toMap = polygons => polygons.map(({ outer, holes }) => ({
+  coordinates: outer.map(toLatLng),
+  holes: holes.map(h => h.map(toLatLng)),
+}));
+
+// Single-pass and multi-pass coverage as react-native-maps polygon props,
+// exactly as counted.
+export function coverageShapes(grid, counts) {
+  return {
+    single: toMap(traceCoverage(grid, counts, passes => passes === 1)),
+    multi: toMap(traceCoverage(grid, counts, passes => passes > 1)),
+  };
+}
+
+const SHAPE_TILE = 32; // cells along each side of a separately traced tile
+
+// Coverage shapes for the map, kept per square tile of the grid so that a
+// redraw only re-traces the tiles around cells that changed. Tell it about
+// changed cells with `update(ids)`; `shapes(counts)` returns every tile's
+// polygons, each with a stable `key`.
+// The normal overlap between neighbouring passes leaves a seam of re-worked
+// cells one cell wide, broken up by GPS jitter into thousands of slivers.
+// Only overlap at least two cells across in both directions is drawn as
+// multi-pass; seam cells are drawn with the single-pass coverage. The
+// totals still count every cell.
+export function createShapeCache(grid) {
+  const { cols, rows, index, cells } = grid;
+  const tileCols = Math.ceil(cols / SHAPE_TILE);
+  const tileRows = Math.ceil(rows / SHAPE_TILE);
+  const tiles = new Map(); // tile number → { single, multi }
+  let dirty = new Set();
+  let all = true;
+  let merged = { single: [], multi: [] };
+
+  const traceTile = (tile, counts) => {
+    const row0 = Math.floor(tile / tileCols) * SHAPE_TILE;
+    const col0 = (tile % tileCols) * SHAPE_TILE;
+    const row1 = Math.min(rows, row0 + SHAPE_TILE);
+    const col1 = Math.min(cols, col0 + SHAPE_TILE);
+    const passesAt = (row, col) => {
+      if (row < 0 || col < 0 || row >= rows || col >= cols) return 0;
+      const id = index[row * cols + col];
+      return id >= 0 ? counts.get(id) || 0 : 0;
+    };
+    const block = (row, col) => passesAt(row, col) > 1 && passesAt(row + 1, col) > 1
+      && passesAt(row, col + 1) > 1 && passesAt(row + 1, col + 1) > 1;
+    const single = new Set();
+    const multi = new Set();
+    for (let row = row0; row < row1; row++) {
+      for (let col = col0; col < col1; col++) {
+        const passes = passesAt(row, col);
+        if (!passes) continue;
+        const wide = passes > 1 && (block(row, col) || block(row - 1, col)
+          || block(row, col - 1) || block(row - 1, col - 1));
+        (wide ? multi : single).add(row * cols + col);
+      }
+    }
+    const withKeys = (layer, polygons) => toMap(polygons).map((shape, i) => ({ ...shape, key: `${layer}-${tile}-${i}` }));
+    return {
+      single: withKeys('single', traceSelection(grid, single)),
+      multi: withKeys('multi', traceSelection(grid, multi)),
+    };
+  };
+
+  return {
+    // A cell's neighbours decide how it is drawn, so tiles next to a changed
+    // cell on a tile edge are re-traced too
+    update(ids) {
+      ids.forEach(id => {
+        const { row, col } = cells[id];
+        for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+          for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+            dirty.add(Math.floor(r / SHAPE_TILE) * tileCols + Math.floor(c / SHAPE_TILE));
+          }
+        }
+      });
+    },
+
+    // Re-trace everything, after the counts were replaced wholesale
+    reset() {
+      all = true;
+    },
+
+    shapes(counts) {
+      if (!all && !dirty.size) return merged;
+      const changed = all ? Array.from({ length: tileRows * tileCols }, (_, tile) => tile) : [...dirty];
+      changed.forEach(tile => {
+        const traced = traceTile(tile, counts);
+        if (traced.single.length || traced.multi.length) tiles.set(tile, traced);
+        else tiles.delete(tile);
+      });
+      all = false;
+      dirty = new Set();
+      const traced = [...tiles.values()];
+      merged = {
+        single: traced.flatMap(tile => tile.single),
+        multi: traced.flatMap(tile => tile.multi),
+      };
+      return merged;
+    },
+  };
+}
+
+// The field as a turf feature. Fields mapped with exclusion zones or in
+// several parts carry their full geometry; older ones only the outer ring.
+export function boundaryFeature(boundaryCoords, geometry) {
+  if (geometry) return turf.feature(geometry);
+  const ring = boundaryCoords.map(c => [c.longitude, c.latitude]);
+  ring.push(ring[0]);
+  return turf.polygon([ring]);
+}
+
+// Each polygon of a Polygon or MultiPolygon feature as react-native-maps props.
+export function polygonShapes(feature) {
+  const { type, coordinates } = feature.geometry;
+  const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+  return polygons.map(([outer, ...holes]) => ({
+    coordinates: outer.map(toLatLng),
+    holes: holes.map(h => h.map(toLatLng)),
+  }));
+}
+
+// Distance in projected meters from a point to the nearest edge of a ring.
+const distanceToRing = ([px, py], ring) => {
+  let best = Infinity;
+  for (let i = 0; i + 1 < ring.length; i++) {
+    const [ax, ay] = ring[i];
+    const [bx, by] = ring[i + 1];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+      : 0;
+    best = Math.min(best, Math.hypot(px - (ax + t * dx), py - (ay + t * dy)));
+  }
+  return best;
+};
+
+// Splits the field into a headland band `width` meters wide along the
+// boundary, including around exclusion zones, and the main zone inside it.
+// Cells are assigned by the distance from their centre to the nearest edge;
+// `inner` holds the outlines of the main zone and `band` the headland itself
+// for the map. `inner` is empty when the headland swallows the whole field.
+export function headlandZones(grid, boundary, width) {
+  const rings = allRings(boundary).map(ring => ring.map(([lon, lat]) => grid.projection.toXY(lon, lat)));
+  const headland = new Uint8Array(grid.cells.length);
+  let headlandSqm = 0;
+  let mainSqm = 0;
+  grid.cells.forEach(cell => {
+    const centre = grid.projection.toXY(...cell.center);
+    if (width > 0 && rings.some(ring => distanceToRing(centre, ring) < width)) {
+      headland[cell.id] = 1;
+      headlandSqm += cell.area;
+    } else {
+      mainSqm += cell.area;
+    }
+  });
+
+  let inner = [];
+  let band = [];
+  if (width > 0) {
+    const inset = turf.buffer(boundary, -width, { units: 'meters' });
+    if (inset) {
+      inner = allRings(inset).map(ring => ring.map(toLatLng));
+      const difference = turf.difference(turf.featureCollection([boundary, inset]));
+      band = difference ? polygonShapes(difference) : [];
+    } else {
+      band = polygonShapes(boundary);
+    }
+  }
+  return {
+    width,
+    headland,
+    band,
+    headlandArea: headlandSqm / SQM_PER_ACRE, // acres
+    mainArea: mainSqm / SQM_PER_ACRE, // acres
+    inner,
+  };
+}
@@ -0,0 +1,166 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', UTI: 'public.json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', UTI: 'com.google.earth.kml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', UTI: 'com.topografix.gpx' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const COVERAGE_LAYERS = [
+  { key: 'single', passes: '1', name: 'Single pass' },
+  { key: 'multi', passes: '2+', name: 'Overlap (2+ passes)' },
+];
+
+const closedRing = (coords) => {
+  const ring = coords.map(c => [c.longitude, c.latitude]);
+  ring.push(ring[0]);
+  return ring;
+};
+
+// The dissolved coverage outlines from coverageShapes, one MultiPolygon
+// feature for single-pass ground and one for overlap.
+function coverageFeatures(shapes) {
+  return COVERAGE_LAYERS
+    .filter(({ key }) => shapes[key].length > 0)
+    .map(({ key, passes, name }) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: shapes[key].map(shape => [closedRing(shape.coordinates), ...shape.holes.map(closedRing)]),
+      },
+      properties: { layer: 'coverage', passes, name },
+    }));
+}
+
+function trackFeature(track) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: track.map(p => [p.longitude, p.latitude]),
+    },
+    properties: {
+      layer: 'track',
+      times: track.map(p => isoTime(p.timestamp)),
+    },
+  };
+}
+
+export function toGeoJSON({ boundary, shapes, track, summary }) {
+  const features = [
+    { ...boundary, properties: { layer: 'boundary', ...summary } },
+    ...coverageFeatures(shapes),
+  ];
+  if (track.length > 1) features.push(trackFeature(track));
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+const kmlRing = (ring) => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return [
+    '<Polygon><tessellate>1</tessellate>',
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlRing(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+    ...holes.map(h => `<innerBoundaryIs><LinearRing><coordinates>${kmlRing(h)}</coordinates></LinearRing></innerBoundaryIs>`),
+    '</Polygon>',
+  ].join('');
+}
+
+function kmlGeometry(geometry) {
+  if (geometry.type === 'MultiPolygon') {
+    return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+  }
+  return kmlPolygon(geometry.coordinates);
+}
+
+export function toKML({ boundary, shapes, track, summary }) {
+  const coverage = coverageFeatures(shapes);
+  const placemark = (name, style, body) =>
+    `    <Placemark><name>${escapeXml(name)}</name><styleUrl>#${style}</styleUrl>${body}</Placemark>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(`${summary.farmerName} ploughing session`)}</name>`,
+    '  <Style id="boundary"><LineStyle><color>ff81b910</color><width>3</width></LineStyle><PolyStyle><color>2681b910</color></PolyStyle></Style>',
+    '  <Style id="single"><LineStyle><width>0</width></LineStyle><PolyStyle><color>6681b910</color></PolyStyle></Style>',
+    '  <Style id="multi"><LineStyle><width>0</width></LineStyle><PolyStyle><color>994444ef</color></PolyStyle></Style>',
+    '  <Style id="track"><LineStyle><color>fff6823b</color><width>2</width></LineStyle></Style>',
+    placemark('Field boundary', 'boundary', kmlGeometry(boundary.geometry)),
+    '  <Folder><name>Coverage</name>',
+    ...coverage.map(f => placemark(
+      f.properties.name,
+      f.properties.passes === '1' ? 'single' : 'multi',
+      kmlGeometry(f.geometry)
+    )),
+    '  </Folder>',
+    track.length > 1
+      ? placemark('GPS track', 'track', `<LineString><tessellate>1</tessellate><coordinates>${kmlRing(track.map(p => [p.longitude, p.latitude]))}</coordinates></LineString>`)
+      : '',
+    '</Document>',
+    '</kml>',
+  ].filter(Boolean).join('\n');
+}
+
+export function toGPX({ boundary, track, summary }) {
+  const [outer] = boundary.geometry.type === 'MultiPolygon'
+    ? boundary.geometry.coordinates[0]
+    : boundary.geometry.coordinates;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="PloughingTrackerApp" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(`${summary.farmerName} ploughing session`)}</name></metadata>`,
+    '  <rte><name>Field boundary</name>',
+    ...outer.map(([lng, lat]) => `    <rtept lat="${lat}" lon="${lng}"/>`),
+    '  </rte>',
+    '  <trk><name>GPS track</name><trkseg>',
+    ...track.map(p => `    <trkpt lat="${p.latitude}" lon="${p.longitude}"><time>${isoTime(p.timestamp)}</time></trkpt>`),
+    '  </trkseg></trk>',
+    '</gpx>',
+  ].join('\n');
+}
+
+export function toCSV({ track }) {
+  const rows = track.map(p => [
+    isoTime(p.timestamp),
+    p.latitude,
+    p.longitude,
+    p.accuracy ?? '',
+    p.speed != null && p.speed >= 0 ? (p.speed * 3.6).toFixed(2) : '', // iOS reports -1 when unknown
+    p.heading ?? '',
+    p.motion ?? '',
+  ].join(','));
+  return ['timestamp,latitude,longitude,accuracy_m,speed_kmh,heading_deg,motion', ...rows].join('\n');
+}
+
+const builders = { geojson: toGeoJSON, kml: toKML, gpx: toGPX, csv: toCSV };
+
+// Writes the session in the chosen format and opens the share sheet for it.
+export async function exportSession(session, format) {
+  const { extension, mimeType, UTI, label } = EXPORT_FORMATS[format];
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `plough_${session.summary.farmId}_${stamp}.${extension}`;
+  const dir = `${FileSystem.documentDirectory}exports/`;
+  await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+  const uri = dir + name;
+  await FileSystem.writeAsStringAsync(uri, builders[format](session), {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  if (!(await Sharing.isAvailableAsync())) {
+    return { uri, shared: false };
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: `Share ${label} export` });
+  return { uri, shared: true };
+}
@@ -0,0 +1,75 @@
+import * as turf from '@turf/turf';
+import { findCrossings } from './boundaryRepair';
+import { SQM_PER_ACRE } from './units';
+
+export const RING_KIND = {
+  part: 'part', // an outer boundary; a field may have several
+  exclusion: 'exclusion', // a well, pond or pylon base inside a part
+};
+
+const closedRing = (coords) => {
+  const ring = coords.map(c => [c.longitude, c.latitude]);
+  ring.push(ring[0]);
+  return ring;
+};
+
+// "Field 2", "Exclusion 1", numbered within each kind.
+export function ringLabel(rings, index) {
+  const { kind } = rings[index];
+  const number = rings.slice(0, index + 1).filter(ring => ring.kind === kind).length;
+  return `${kind === RING_KIND.part ? 'Field' : 'Exclusion'} ${number}`;
+}
+
+// Builds the field from the mapped rings: each exclusion zone becomes a hole
+// in the part that contains it, and several parts make a MultiPolygon.
+// Rings that cannot be used are left out and reported in `issues`
+// ({ index, message }); `area` is the workable area in acres.
+export function fieldGeometry(rings) {
+  const issues = [];
+  const usable = (ring, index) => {
+    if (ring.coords.length === 0) return false;
+    if (ring.coords.length < 3) {
+      issues.push({ index, message: 'needs at least 3 points' });
+      return false;
+    }
+    if (findCrossings(ring.coords).length > 0) {
+      issues.push({ index, message: 'boundary lines cross' });
+      return false;
+    }
+    return true;
+  };
+
+  const parts = [];
+  rings.forEach((ring, index) => {
+    if (ring.kind !== RING_KIND.part || !usable(ring, index)) return;
+    const polygon = turf.polygon([closedRing(ring.coords)]);
+    if (parts.some(part => turf.booleanIntersects(part.polygon, polygon))) {
+      issues.push({ index, message: 'overlaps another part of the field' });
+      return;
+    }
+    parts.push({ polygon, holes: [] });
+  });
+
+  rings.forEach((ring, index) => {
+    if (ring.kind !== RING_KIND.exclusion || !usable(ring, index)) return;
+    const hole = turf.polygon([closedRing(ring.coords)]);
+    const part = parts.find(p => turf.booleanWithin(hole, p.polygon));
+    if (!part) {
+      issues.push({ index, message: 'is not inside the field' });
+    } else if (part.holes.some(other => turf.booleanIntersects(other, hole))) {
+      issues.push({ index, message: 'overlaps another exclusion zone' });
+    } else {
+      part.holes.push(hole);
+    }
+  });
+
+  if (!parts.length) return { geometry: null, area: 0, issues };
+  const polygons = parts.map(({ polygon, holes }) => [
+    turf.getCoords(polygon)[0],
+    ...holes.map(hole => turf.getCoords(hole)[0]),
+  ]);
+  const geometry = polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+  return { geometry, area: turf.area(geometry) / SQM_PER_ACRE, issues };
+}
@@ -0,0 +1,184 @@
+import * as turf from '@turf/turf';
+import { traceCoverage } from './coverage';
+import { SQM_PER_ACRE } from './units';
+
+// Edge cells clipped to less than this share of a full cell are left out,
+// otherwise the sliver along the boundary always shows up as a missed strip.
+const MIN_CELL_FILL = 0.5;
+
+// Perimeter² / area above this means the gap is long and thin (a square
+// scores 16, a 1:5 rectangle about 29).
+const STRIP_ELONGATION = 28;
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const toLatLng = ([longitude, latitude]) => ({ latitude, longitude });
+
+const ringLength = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    sum += Math.hypot(x2 - x1, y2 - y1);
+  }
+  return sum;
+};
+
+// Open ground at most this many cells across, with worked cells on both
+// sides along a row or column of the grid, lies between passes. That is two
+// implement widths at the usual cell size of half a width.
+const MAX_STRIP_CELLS = 4;
+
+const neighbours = (row, col) => [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]];
+
+// Connected groups of the cells passing `test`, as lists of ids.
+function regions(grid, test) {
+  const { cells, index, cols, rows } = grid;
+  const seen = new Uint8Array(cells.length);
+  const groups = [];
+  cells.forEach(start => {
+    if (seen[start.id] || !test(start.id)) return;
+    seen[start.id] = 1;
+    const ids = [];
+    const stack = [start.id];
+    while (stack.length) {
+      const id = stack.pop();
+      ids.push(id);
+      neighbours(cells[id].row, cells[id].col).forEach(([r, c]) => {
+        if (r < 0 || c < 0 || r >= rows || c >= cols) return;
+        const next = index[r * cols + c];
+        if (next >= 0 && !seen[next] && test(next)) {
+          seen[next] = 1;
+          stack.push(next);
+        }
+      });
+    }
+    groups.push(ids);
+  });
+  return groups;
+}
+
+// Flags the open cells that have worked ground on both sides, no more than
+// MAX_STRIP_CELLS away in total, along their row or their column. The field
+// edge and excluded cells break the run, since they are not worked.
+function betweenPasses(grid, counts, excluded) {
+  const { cells, index, cols, rows } = grid;
+  const between = new Uint8Array(cells.length);
+  const scan = (lines, length, idAt) => {
+    const back = new Float64Array(length);
+    for (let line = 0; line < lines; line++) {
+      let last = -Infinity;
+      for (let i = 0; i < length; i++) {
+        const id = idAt(line, i);
+        if (id < 0 || excluded(id)) last = -Infinity;
+        else if (counts.has(id)) last = i;
+        back[i] = i - last;
+      }
+      let next = Infinity;
+      for (let i = length - 1; i >= 0; i--) {
+        const id = idAt(line, i);
+        if (id < 0 || excluded(id)) next = Infinity;
+        else if (counts.has(id)) next = i;
+        else if (back[i] + (next - i) - 1 <= MAX_STRIP_CELLS) between[id] = 1;
+      }
+    }
+  };
+  scan(rows, cols, (row, col) => index[row * cols + col]);
+  scan(cols, rows, (col, row) => index[row * cols + col]);
+  return between;
+}
+
+// Finds ground that was missed: open patches enclosed by worked cells, and
+// strips left between passes. Open ground that reaches the field edge or an
+// excluded cell otherwise is the part still to be ploughed, not a gap.
+// Cells flagged in `exclude` (e.g. a headland that is worked last) are
+// ignored, and gaps under `minArea` m² are dropped. Largest gaps come first.
+export function findGaps(grid, counts, { minArea = 20, exclude = null } = {}) {
+  const { cells, index, cols, rows, cellSize } = grid;
+  const minCellArea = cellSize * cellSize * MIN_CELL_FILL;
+  const excluded = (id) => Boolean(exclude && exclude[id]);
+  const open = (id) => id >= 0 &&
+    !counts.has(id) &&
+    !excluded(id) &&
+    cells[id].area >= minCellArea;
+
+  const missed = betweenPasses(grid, counts, excluded);
+  regions(grid, open).forEach(ids => {
+    const enclosed = ids.every(id => neighbours(cells[id].row, cells[id].col).every(([r, c]) => {
+      if (r < 0 || c < 0 || r >= rows || c >= cols) return false;
+      const next = index[r * cols + c];
+      return next >= 0 && (counts.has(next) || open(next));
+    }));
+    if (enclosed) ids.forEach(id => { missed[id] = 1; });
+  });
+
+  const gaps = [];
+  regions(grid, id => open(id) && missed[id] === 1).forEach(ids => {
+    let sqm = 0;
+    let sumLon = 0;
+    let sumLat = 0;
+    ids.forEach(id => {
+      const { area, center } = cells[id];
+      sqm += area;
+      sumLon += center[0];
+      sumLat += center[1];
+    });
+    if (sqm < minArea) return;
+
+    // Outline the patch with the same tracer used for coverage
+    const polygons = traceCoverage(grid, new Map(ids.map(id => [id, 1])));
+    const perimeter = polygons.reduce((sum, { outer, holes }) => sum +
+      [outer, ...holes].reduce((s, ring) => s + ringLength(ring.map(p => grid.projection.toXY(...p))), 0), 0);
+    const start = cells[ids[0]];
+    gaps.push({
+      id: `${start.row}:${start.col}`,
+      area: sqm, // m²
+      kind: (perimeter * perimeter) / sqm > STRIP_ELONGATION ? 'strip' : 'patch',
+      center: { latitude: sumLat / ids.length, longitude: sumLon / ids.length },
+      cells: ids,
+      shapes: polygons.map(({ outer, holes }) => ({
+        coordinates: outer.map(toLatLng),
+        holes: holes.map(h => h.map(toLatLng)),
+      })),
+    });
+  });
+  return gaps.sort((a, b) => b.area - a.area);
+}
+
+// Closest point of a gap to the operator, with distance and bearing to it.
+export function routeToGap(grid, gap, point) {
+  const [px, py] = grid.projection.toXY(point.longitude, point.latitude);
+  let best = null;
+  let bestDistance = Infinity;
+  gap.cells.forEach(id => {
+    const { row, col } = grid.cells[id];
+    const d = Math.hypot((col + 0.5) * grid.cellSize - px, (row + 0.5) * grid.cellSize - py);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = grid.cells[id];
+    }
+  });
+  const target = toLatLng(best.center);
+  return {
+    gap,
+    target,
+    distance: bestDistance, // meters
+    bearing: (turf.bearing([point.longitude, point.latitude], best.center) + 360) % 360,
+  };
+}
+
+// Nearest gap to the operator, or null when there are none.
+export function nearestGap(grid, gaps, point) {
+  return gaps
+    .map(gap => routeToGap(grid, gap, point))
+    .reduce((best, route) => (!best || route.distance < best.distance ? route : best), null);
+}
+
+export function compassPoint(bearing) {
+  return COMPASS[Math.round(bearing / 45) % 8];
+}
+
+// Small gaps read better in square meters, large ones in acres.
+export function formatGapArea(sqm) {
+  return sqm >= SQM_PER_ACRE ? `${(sqm / SQM_PER_ACRE).toFixed(2)} ac` : `${Math.round(sqm)} m²`;
+}
@@ -0,0 +1,95 @@
+import * as turf from '@turf/turf';
+
+export const GEOFENCE = {
+  inside: 'inside',
+  near: 'near', // inside, but within the warning distance of the edge
+  outside: 'outside',
+};
+
+// Where a position sits relative to the field and how far it is from the edge.
+// `boundary` is the field feature; exclusion zones count as outside, and
+// their shores as edges.
+export function createGeofence(boundary) {
+  const edges = turf.flatten(boundary).features
+    .flatMap(polygon => turf.getCoords(polygon))
+    .map(ring => turf.lineString(ring));
+  return {
+    check(point, warnDistance) {
+      const position = turf.point([point.longitude, point.latitude]);
+      const distance = Math.min(...edges.map(edge => turf.pointToLineDistance(position, edge, { units: 'meters' })));
+      if (!turf.booleanPointInPolygon(position, boundary)) return { state: GEOFENCE.outside, distance };
+      return { state: distance < warnDistance ? GEOFENCE.near : GEOFENCE.inside, distance };
+    },
+  };
+}
+
+// Keeps a log of each trip outside the field. An excursion runs from the
+// first fix outside to the first fix back in, or until it is closed on pause.
+export function createExcursionLog() {
+  let closed = [];
+  let open = null;
+  let last = null;
+
+  const step = (fix) => {
+    open.distance += turf.distance(
+      [last.longitude, last.latitude],
+      [fix.longitude, fix.latitude],
+      { units: 'meters' }
+    );
+    open.end = fix.timestamp;
+    last = fix;
+  };
+
+  const close = () => {
+    if (!open) return;
+    closed.push({
+      start: new Date(open.start).toISOString(),
+      end: new Date(open.end).toISOString(),
+      duration: Math.round((open.end - open.start) / 1000),
+      distance: Math.round(open.distance),
+    });
+    open = null;
+    last = null;
+  };
+
+  return {
+    update(fix, outside) {
+      if (outside) {
+        if (open) step(fix);
+        else {
+          open = { start: fix.timestamp, end: fix.timestamp, distance: 0 };
+          last = fix;
+        }
+      } else if (open) {
+        step(fix);
+        close();
+      }
+    },
+
+    close,
+
+    excursions() {
+      return closed;
+    },
+
+    // Includes a trip still under way, so a crash-recovery snapshot keeps it
+    snapshot() {
+      return { closed, open, last: last && { latitude: last.latitude, longitude: last.longitude } };
+    },
+
+    restore(saved) {
+      closed = saved?.closed || [];
+      open = saved?.open || null;
+      last = saved?.last || null;
+    },
+
+    // Seconds and meters spent outside, including a trip still under way
+    totals() {
+      const current = open ? [{ duration: (open.end - open.start) / 1000, distance: open.distance }] : [];
+      return [...closed, ...current].reduce(
+        (sum, e) => ({ time: sum.time + e.duration, distance: sum.distance + e.distance }),
+        { time: 0, distance: 0 }
+      );
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import { METERS_PER_DEGREE } from './units';
+
+// Polygons of a Polygon or MultiPolygon feature, each a list of closed
+// [lon, lat] rings with the outer ring first.
+const polygonsOf = ({ geometry }) => (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]);
+
+// Parallel A-B guidance lines spaced one implement width apart, clipped to
+// the field `boundary` feature: every part, less its exclusion zones.
+// Everything is worked out in a flat projection centred on point A.
+export function createGuidance(a, b, spacing, boundary) {
+  const cosLat = Math.cos(a.latitude * Math.PI / 180);
+  const toXY = ({ latitude, longitude }) => [
+    (longitude - a.longitude) * METERS_PER_DEGREE * cosLat,
+    (latitude - a.latitude) * METERS_PER_DEGREE,
+  ];
+  const toLatLng = ([x, y]) => ({
+    latitude: a.latitude + y / METERS_PER_DEGREE,
+    longitude: a.longitude + x / (METERS_PER_DEGREE * cosLat),
+  });
+
+  const [bx, by] = toXY(b);
+  const length = Math.hypot(bx, by);
+  if (length < 1) return null;
+  const dx = bx / length;
+  const dy = by / length;
+  const bearing = (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+  const rings = polygonsOf(boundary).flat()
+    .map(ring => ring.map(([longitude, latitude]) => toXY({ latitude, longitude })));
+
+  // Signed distance to the A-B line, positive to the left when facing A→B
+  const offsetOf = ([x, y]) => dx * y - dy * x;
+
+  // Portions of guidance line `index` that fall inside the field. Crossings
+  // of outer rings and exclusion zones alike toggle inside and outside.
+  const lineSegments = (index) => {
+    const offset = index * spacing;
+    const ox = -dy * offset;
+    const oy = dx * offset;
+    const hits = [];
+    rings.forEach(ring => {
+      for (let i = 0; i + 1 < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        const s1 = offsetOf([x1, y1]) - offset;
+        const s2 = offsetOf([x2, y2]) - offset;
+        if ((s1 > 0) === (s2 > 0) || s1 === s2) continue;
+        const t = s1 / (s1 - s2);
+        const px = x1 + t * (x2 - x1);
+        const py = y1 + t * (y2 - y1);
+        hits.push((px - ox) * dx + (py - oy) * dy);
+      }
+    });
+    hits.sort((p, q) => p - q);
+    const segments = [];
+    for (let i = 0; i + 1 < hits.length; i += 2) {
+      segments.push([
+        toLatLng([ox + dx * hits[i], oy + dy * hits[i]]),
+        toLatLng([ox + dx * hits[i + 1], oy + dy * hits[i + 1]]),
+      ]);
+    }
+    return segments;
+  };
+
+  return {
+    a,
+    b,
+    bearing,
+    spacing,
+    lineSegments,
+
+    // Nearest guidance line and how far off it the point is. `crossTrack` is
+    // positive when the vehicle is right of the line in its direction of travel.
+    locate(point, heading) {
+      const offset = offsetOf(toXY(point));
+      const index = Math.round(offset / spacing);
+      let crossTrack = index * spacing - offset;
+      if (Number.isFinite(heading)) {
+        const diff = Math.abs(((heading - bearing + 540) % 360) - 180);
+        if (diff > 90) crossTrack = -crossTrack;
+      }
+      return { index, crossTrack };
+    },
+  };
+}
+
+// Edges of the outer ring of every part of the `boundary` feature, ordered
+// longest first, as candidate A-B lines.
+export function boundaryEdges(boundary) {
+  return polygonsOf(boundary)
+    .flatMap(([outer]) => outer.slice(0, -1).map((start, i) => {
+      const [aLng, aLat] = start;
+      const [bLng, bLat] = outer[i + 1];
+      const cosLat = Math.cos(aLat * Math.PI / 180);
+      const length = Math.hypot(
+        (bLng - aLng) * METERS_PER_DEGREE * cosLat,
+        (bLat - aLat) * METERS_PER_DEGREE
+      );
+      return { a: { latitude: aLat, longitude: aLng }, b: { latitude: bLat, longitude: bLng }, length };
+    }))
+    .sort((p, q) => q.length - p.length);
+}
+
+export function formatCrossTrack(crossTrack) {
+  const distance = Math.abs(crossTrack);
+  if (distance < 0.1) return 'On line';
+  return `${distance.toFixed(1)} m ${crossTrack > 0 ? 'right' : 'left'}`;
+}
@@ -0,0 +1,60 @@
+import * as turf from '@turf/turf';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PROFILES_KEY = 'implementProfiles';
+const SELECTED_KEY = 'selectedImplementId';
+
+// Profiles every new install starts with; operators can edit or remove them.
+export const DEFAULT_IMPLEMENTS = [
+  { id: 'rotavator-1.5', name: 'Rotavator 1.5m', width: 1.5, antennaOffset: 0, minSpeed: 2, maxSpeed: 5 },
+  { id: 'plough-2', name: 'Plough 2m', width: 2, antennaOffset: 0, minSpeed: 3, maxSpeed: 7 },
+  { id: 'disc-2.4', name: 'Disc Plough 2.4m', width: 2.4, antennaOffset: 0, minSpeed: 4, maxSpeed: 8 },
+  { id: 'cultivator-3', name: 'Cultivator 3m', width: 3, antennaOffset: 0, minSpeed: 5, maxSpeed: 10 },
+];
+
+// Returns an error message for an invalid profile, or null when it can be saved.
+export function validateImplement(profile) {
+  if (!profile.name || !profile.name.trim()) return 'Implement name is required.';
+  if (!(profile.width > 0) || profile.width > 30) return 'Working width must be between 0 and 30 m.';
+  if (!Number.isFinite(profile.antennaOffset) || Math.abs(profile.antennaOffset) > 15) {
+    return 'Antenna offset must be between -15 and 15 m.';
+  }
+  if (!(profile.minSpeed >= 0) || !(profile.maxSpeed > profile.minSpeed)) {
+    return 'Maximum speed must be greater than minimum speed.';
+  }
+  return null;
+}
+
+export async function loadImplements() {
+  const data = await AsyncStorage.getItem(PROFILES_KEY);
+  if (!data) return DEFAULT_IMPLEMENTS;
+  const list = JSON.parse(data);
+  return list.length ? list : DEFAULT_IMPLEMENTS;
+}
+
+export async function saveImplements(list) {
+  await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+}
+
+export async function loadSelectedImplement() {
+  const [list, id] = await Promise.all([loadImplements(), AsyncStorage.getItem(SELECTED_KEY)]);
+  return list.find(p => p.id === id) || null;
+}
+
+export async function saveSelectedImplement(id) {
+  await AsyncStorage.setItem(SELECTED_KEY, id);
+}
+
+// Shifts a GPS fix sideways to the centre of the implement.
+// A positive offset means the antenna sits to the right of the implement centre.
+export function applyAntennaOffset(point, heading, offset) {
+  if (!offset || !Number.isFinite(heading)) return point;
+  const shifted = turf.destination(
+    [point.longitude, point.latitude],
+    -offset,
+    heading + 90,
+    { units: 'meters' }
+  );
+  const [longitude, latitude] = shifted.geometry.coordinates;
+  return { ...point, latitude, longitude };
+}
@@ -0,0 +1,154 @@
+import { METERS_PER_DEGREE } from './units';
+
+// Tuning per use. Speeds in m/s, acceleration in m/s², distances in meters.
+export const FILTER_PRESETS = {
+  ploughing: {
+    maxAccuracy: 12,
+    maxSpeed: 8, // ~29 km/h, faster than any tractor in a field
+    maxAcceleration: 3,
+    maxJump: 15,
+    processNoise: 0.5,
+    minHeadingSpeed: 0.5,
+  },
+  walking: {
+    maxAccuracy: 12,
+    maxSpeed: 3,
+    maxAcceleration: 2,
+    maxJump: 8,
+    processNoise: 0.3,
+    minHeadingSpeed: 0.3,
+  },
+};
+
+// After this many rejected fixes in a row the filter assumes it was the one
+// that went wrong (e.g. after a tunnel of trees) and starts over.
+const MAX_CONSECUTIVE_REJECTS = 5;
+
+// One axis of a constant-velocity Kalman filter: position and velocity.
+function createAxis(position, variance) {
+  return { x: position, v: 0, p00: variance, p01: 0, p11: 25 };
+}
+
+function predict(axis, dt, q) {
+  const dt2 = dt * dt;
+  axis.x += axis.v * dt;
+  axis.p00 += dt * (2 * axis.p01 + dt * axis.p11) + q * dt2 * dt2 / 4;
+  axis.p01 += dt * axis.p11 + q * dt2 * dt / 2;
+  axis.p11 += q * dt2;
+}
+
+function update(axis, measurement, variance) {
+  const s = axis.p00 + variance;
+  const k0 = axis.p00 / s;
+  const k1 = axis.p01 / s;
+  const residual = measurement - axis.x;
+  axis.x += k0 * residual;
+  axis.v += k1 * residual;
+  axis.p11 -= k1 * axis.p01;
+  axis.p01 -= k0 * axis.p01;
+  axis.p00 -= k0 * axis.p00;
+}
+
+// Turns raw expo-location updates into smoothed fixes with a stable speed
+// and heading, dropping fixes that imply an impossible speed, acceleration
+// or jump. `process` returns null for rejected fixes.
+export function createLocationFilter(options = FILTER_PRESETS.ploughing) {
+  const config = { ...FILTER_PRESETS.ploughing, ...options };
+  let origin = null;
+  let east = null;
+  let north = null;
+  let last = null; // last accepted raw fix, in local meters
+  let lastSpeed = 0;
+  let heading = null;
+  let rejects = 0;
+
+  const toLocal = (lat, lon) => [
+    (lon - origin.longitude) * METERS_PER_DEGREE * origin.cosLat,
+    (lat - origin.latitude) * METERS_PER_DEGREE,
+  ];
+  const toGeo = (x, y) => ({
+    latitude: origin.latitude + y / METERS_PER_DEGREE,
+    longitude: origin.longitude + x / (METERS_PER_DEGREE * origin.cosLat),
+  });
+
+  const start = (coords, timestamp) => {
+    origin = {
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      cosLat: Math.cos(coords.latitude * Math.PI / 180),
+    };
+    const variance = coords.accuracy * coords.accuracy;
+    east = createAxis(0, variance);
+    north = createAxis(0, variance);
+    last = { x: 0, y: 0, timestamp };
+    lastSpeed = 0;
+    heading = null;
+    rejects = 0;
+  };
+
+  const output = (coords, timestamp) => {
+    const speed = Math.hypot(east.v, north.v);
+    if (speed >= config.minHeadingSpeed) {
+      heading = (Math.atan2(east.v, north.v) * 180 / Math.PI + 360) % 360;
+    }
+    return {
+      ...toGeo(east.x, north.x),
+      accuracy: Math.sqrt(Math.max(east.p00, north.p00)),
+      rawAccuracy: coords.accuracy,
+      speed, // m/s
+      heading, // degrees from north, held while nearly stationary
+      timestamp,
+    };
+  };
+
+  const reject = () => {
+    rejects++;
+    return null;
+  };
+
+  return {
+    process(loc) {
+      const coords = loc?.coords;
+      if (!coords || !(coords.accuracy <= config.maxAccuracy)) return null;
+      const timestamp = loc.timestamp;
+
+      if (!origin || rejects >= MAX_CONSECUTIVE_REJECTS) {
+        start(coords, timestamp);
+        return output(coords, timestamp);
+      }
+
+      const dt = (timestamp - last.timestamp) / 1000;
+      if (!(dt > 0)) return null; // duplicate or out-of-order fix
+
+      const [x, y] = toLocal(coords.latitude, coords.longitude);
+      const moved = Math.hypot(x - last.x, y - last.y);
+      const impliedSpeed = moved / dt;
+      if (impliedSpeed > config.maxSpeed + coords.accuracy / dt) return reject();
+      if (Math.abs(impliedSpeed - lastSpeed) / dt > config.maxAcceleration + coords.accuracy / (dt * dt)) {
+        return reject();
+      }
+
+      // Work on copies so a rejected fix leaves the filter untouched
+      const nextEast = { ...east };
+      const nextNorth = { ...north };
+      predict(nextEast, dt, config.processNoise);
+      predict(nextNorth, dt, config.processNoise);
+      const jump = Math.hypot(x - nextEast.x, y - nextNorth.x);
+      if (jump > config.maxJump + 2 * coords.accuracy) return reject();
+
+      const variance = coords.accuracy * coords.accuracy;
+      update(nextEast, x, variance);
+      update(nextNorth, y, variance);
+      east = nextEast;
+      north = nextNorth;
+      last = { x, y, timestamp };
+      lastSpeed = impliedSpeed;
+      rejects = 0;
+      return output(coords, timestamp);
+    },
+
+    reset() {
+      origin = null;
+    },
+  };
+}
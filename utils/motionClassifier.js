@@ -0,0 +1,101 @@
+export const MOTION = {
+  working: 'working',
+  turning: 'turning',
+  transit: 'transit',
+  idle: 'idle',
+};
+
+export const MOTION_LABELS = {
+  working: { label: 'Working', color: '#10B981' },
+  turning: { label: 'Turning', color: '#F59E0B' },
+  transit: { label: 'Transit', color: '#3B82F6' },
+  idle: { label: 'Idle', color: '#6B7280' },
+};
+
+// Manual override from the implement up/down toggle.
+export const IMPLEMENT_MODES = ['auto', 'down', 'up'];
+
+export const emptyMotionTimes = () => ({ working: 0, turning: 0, transit: 0, idle: 0 });
+
+const IDLE_SPEED = 0.3; // m/s
+const WINDOW_MS = 5000; // recent history used for turn rate and heading spread
+const MAX_WORK_TURN_RATE = 8; // °/s, tighter than this is a headland turn
+const MAX_WORK_HEADING_SPREAD = 30; // °, mean deviation from the window's heading
+const SPEED_MARGIN = 1.25; // leeway on the implement's speed range
+const CONFIRM_FIXES = 2; // a new label must hold this long before it sticks
+
+const headingDiff = (a, b) => ((b - a + 540) % 360) - 180;
+
+// Labels each filtered fix as working, turning, transit or idle from its
+// speed, turn rate and how steady the heading has been over the last few
+// seconds. With the implement toggled down or up the operator's word wins,
+// apart from telling idle and turning apart.
+export function createMotionClassifier(implement) {
+  const minWorkSpeed = (implement.minSpeed / 3.6) / SPEED_MARGIN; // m/s
+  const maxWorkSpeed = (implement.maxSpeed / 3.6) * SPEED_MARGIN;
+  let history = [];
+  let current = MOTION.idle;
+  let candidate = null;
+  let candidateCount = 0;
+
+  const turnStats = () => {
+    const headed = history.filter(h => h.heading !== null);
+    if (headed.length < 2) return { turnRate: 0, spread: 0 };
+    let turned = 0;
+    for (let i = 1; i < headed.length; i++) {
+      turned += Math.abs(headingDiff(headed[i - 1].heading, headed[i].heading));
+    }
+    const seconds = (headed[headed.length - 1].timestamp - headed[0].timestamp) / 1000;
+    const x = headed.reduce((s, h) => s + Math.sin(h.heading * Math.PI / 180), 0);
+    const y = headed.reduce((s, h) => s + Math.cos(h.heading * Math.PI / 180), 0);
+    const mean = Math.atan2(x, y) * 180 / Math.PI;
+    const spread = headed.reduce((s, h) => s + Math.abs(headingDiff(mean, h.heading)), 0) / headed.length;
+    return { turnRate: seconds > 0 ? turned / seconds : 0, spread };
+  };
+
+  const rawLabel = (fix, mode) => {
+    if (fix.speed < IDLE_SPEED) return MOTION.idle;
+    const { turnRate, spread } = turnStats();
+    const turning = turnRate > MAX_WORK_TURN_RATE || spread > MAX_WORK_HEADING_SPREAD;
+    if (mode === 'up') return turning ? MOTION.turning : MOTION.transit;
+    if (mode === 'down') return MOTION.working;
+    if (fix.speed > maxWorkSpeed) return MOTION.transit;
+    if (turning || fix.speed < minWorkSpeed) return MOTION.turning;
+    return MOTION.working;
+  };
+
+  return {
+    classify(fix, mode = 'auto') {
+      history.push({ heading: fix.heading, timestamp: fix.timestamp });
+      history = history.filter(h => fix.timestamp - h.timestamp <= WINDOW_MS);
+
+      const label = rawLabel(fix, mode);
+      // Manual toggles and stopping take effect at once; the rest is debounced
+      if (label === current || label === MOTION.idle || mode !== 'auto') {
+        current = label;
+        candidate = null;
+        candidateCount = 0;
+        return current;
+      }
+      if (label === candidate) {
+        candidateCount++;
+      } else {
+        candidate = label;
+        candidateCount = 1;
+      }
+      if (candidateCount >= CONFIRM_FIXES) {
+        current = label;
+        candidate = null;
+        candidateCount = 0;
+      }
+      return current;
+    },
+
+    reset() {
+      history = [];
+      current = MOTION.idle;
+      candidate = null;
+      candidateCount = 0;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import { buildGrid, applySegment, createPassTracker, createShapeCache } from './coverage';
+import { applyAntennaOffset } from './implements';
+import { MOTION } from './motionClassifier';
+
+// Fixes further apart in time than this were split by a pause or a signal
+// loss; the live session never joined them into a swath either.
+const MAX_FIX_GAP = 10 * 1000; // ms
+const CHECKPOINT_SPACING = 500; // fixes between saved coverage states, at least
+const MAX_CHECKPOINTS = 40;
+
+// Replays a recorded track over a fresh grid so coverage can be rebuilt up
+// to any moment of the session. Moving forward only applies the new fixes;
+// seeking backwards resumes from the latest checkpoint before the target,
+// saved on the way forward. `boundary` is the field feature the session was
+// ploughed on.
+export function createReplay(boundary, track, implement) {
+  const grid = buildGrid(boundary, implement.width / 2);
+  const shapeCache = createShapeCache(grid);
+  const spacing = Math.max(CHECKPOINT_SPACING, Math.ceil(track.length / MAX_CHECKPOINTS));
+  const checkpoints = []; // state after every `spacing` fixes
+  let counts = new Map();
+  let applied = 0; // number of fixes already swept into `counts`
+  let previous = null;
+  let tracker = createPassTracker();
+
+  // Pass counts are kept as a typed array, so checkpoints stay small
+  const saveCheckpoint = () => {
+    const passes = new Uint16Array(grid.cells.length);
+    counts.forEach((n, id) => {
+      passes[id] = n;
+    });
+    checkpoints[applied / spacing] = {
+      passes,
+      previous,
+      travelled: tracker.travelled,
+      touched: new Map(tracker.touched),
+    };
+  };
+
+  const restoreCheckpoint = (n) => {
+    const checkpoint = checkpoints[n];
+    counts = new Map();
+    checkpoint.passes.forEach((passes, id) => {
+      if (passes) counts.set(id, passes);
+    });
+    applied = n * spacing;
+    previous = checkpoint.previous;
+    tracker = { travelled: checkpoint.travelled, touched: new Map(checkpoint.touched) };
+    shapeCache.reset();
+  };
+
+  const step = (i) => {
+    const point = track[i];
+    const centre = applyAntennaOffset(point, point.heading, implement.antennaOffset);
+    const joined = previous && point.timestamp - track[i - 1].timestamp <= MAX_FIX_GAP;
+    if (joined && point.motion === MOTION.working) {
+      shapeCache.update(applySegment(grid, counts, previous, centre, implement.width, tracker).ids);
+    } else {
+      tracker = createPassTracker();
+    }
+    previous = centre;
+  };
+
+  // Index of the last fix at or before `time`, -1 before the first one
+  const indexAt = (time) => {
+    let lo = 0;
+    let hi = track.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (track[mid].timestamp <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  };
+
+  return {
+    grid,
+    startTime: track[0].timestamp,
+    endTime: track[track.length - 1].timestamp,
+
+    // Brings coverage up to `time` and returns the pass counts at that moment
+    seek(time) {
+      const target = indexAt(time);
+      if (target + 1 < applied) {
+        const n = Math.floor((target + 1) / spacing);
+        if (n > 0) {
+          restoreCheckpoint(n);
+        } else {
+          counts = new Map();
+          applied = 0;
+          previous = null;
+          tracker = createPassTracker();
+          shapeCache.reset();
+        }
+      }
+      while (applied <= target) {
+        step(applied++);
+        if (applied % spacing === 0 && !checkpoints[applied / spacing]) saveCheckpoint();
+      }
+      return counts;
+    },
+
+    // Map shapes for the coverage at the last seek, re-tracing only what
+    // changed since the previous call
+    shapes() {
+      return shapeCache.shapes(counts);
+    },
+
+    // Tractor position at `time`, interpolated between the surrounding fixes
+    positionAt(time) {
+      const i = Math.max(0, indexAt(time));
+      const a = track[i];
+      const b = track[i + 1];
+      if (!b || b.timestamp - a.timestamp > MAX_FIX_GAP || time <= a.timestamp) {
+        return { latitude: a.latitude, longitude: a.longitude, heading: a.heading, motion: a.motion };
+      }
+      const t = (time - a.timestamp) / (b.timestamp - a.timestamp);
+      return {
+        latitude: a.latitude + (b.latitude - a.latitude) * t,
+        longitude: a.longitude + (b.longitude - a.longitude) * t,
+        heading: b.heading ?? a.heading,
+        motion: a.motion,
+      };
+    },
+
+    // Start of the next stretch of fixes when `time` sits in a pause or
+    // signal gap, so playback doesn't sit through it; otherwise null
+    skipGap(time) {
+      const i = indexAt(time);
+      const next = track[i + 1];
+      if (i < 0 || !next) return null;
+      return next.timestamp - track[i].timestamp > MAX_FIX_GAP ? next.timestamp : null;
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { SYNC_STATUS } from './syncQueue';
+
+const HISTORY_KEY = 'sessionHistory';
+const detailKey = (id) => `sessionHistory:${id}`;
+// Relative to the document directory, whose absolute path can change when
+// the app is updated on iOS
+const recordFile = (id) => `history/${id}.json`;
+
+// The list keeps only what the History screen shows. The full summary is
+// stored under its own key and read when a record is opened, so the list
+// stays quick to load as sessions pile up. Boundary, coverage and the
+// timestamped GPS track grow with the field and the session, so they go to
+// a file per record rather than into AsyncStorage.
+export async function saveSessionRecord({ id, syncId, fieldId, summary, boundaryCoords, boundary, shapes, track }) {
+  const entry = {
+    id,
+    syncId,
+    fieldId,
+    farmerId: summary.farmId,
+    farmerName: summary.farmerName,
+    startedAt: summary.startedAt,
+    sessionTime: summary.sessionTime,
+    ploughedArea: summary.ploughedArea,
+    fieldArea: summary.fieldArea,
+    progress: summary.progress,
+  };
+  await FileSystem.makeDirectoryAsync(`${FileSystem.documentDirectory}history/`, { intermediates: true });
+  await FileSystem.writeAsStringAsync(
+    FileSystem.documentDirectory + recordFile(id),
+    JSON.stringify({ boundaryCoords, boundary, shapes, track })
+  );
+  await AsyncStorage.setItem(detailKey(id), JSON.stringify({ summary, file: recordFile(id) }));
+  const history = await loadSessionHistory();
+  await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify([entry, ...history.filter(e => e.id !== id)]));
+  return entry;
+}
+
+// Newest first.
+export async function loadSessionHistory() {
+  const data = await AsyncStorage.getItem(HISTORY_KEY);
+  return data ? JSON.parse(data) : [];
+}
+
+export async function loadSessionRecord(id) {
+  const [history, detail] = await Promise.all([
+    loadSessionHistory(),
+    AsyncStorage.getItem(detailKey(id)),
+  ]);
+  const entry = history.find(e => e.id === id);
+  if (!entry || !detail) return null;
+  const { file, summary } = JSON.parse(detail);
+  try {
+    const data = await FileSystem.readAsStringAsync(FileSystem.documentDirectory + file);
+    return { ...entry, summary, ...JSON.parse(data) };
+  } catch (e) {
+    console.error('History read error:', e);
+    return null;
+  }
+}
+
+// Synced records are pruned from the queue after a while, so a session
+// that is no longer queued has been uploaded.
+export function syncStatusFor(queue, syncId) {
+  return queue.find(r => r.id === syncId)?.status || SYNC_STATUS.synced;
+}
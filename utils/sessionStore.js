@@ -0,0 +1,131 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const snapshotKey = (farmerId, fieldId) => `ploughSession:${farmerId}:${fieldId}`;
+const settingsKey = (fieldId) => `fieldSettings:${fieldId}`;
+const coverageKey = (fieldId) => `fieldCoverage:${fieldId}`;
+const fieldsKey = (farmerId) => `fields:${farmerId}`;
+
+export const DEFAULT_FIELD_SETTINGS = {
+  headlandWidth: 0, // meters, 0 = no separate headland
+  minGapArea: 20, // m², smaller missed patches are not reported
+  edgeWarningDistance: 5, // meters from the boundary before the operator is warned
+};
+
+// Fields a farmer has mapped, each under an id that is assigned once, so
+// reopening a field finds its unfinished session and job coverage however
+// the boundary was captured. `jobSessions` counts the sessions in the
+// field's open job.
+export async function loadSavedFields(farmerId) {
+  const data = await AsyncStorage.getItem(fieldsKey(farmerId));
+  const fields = data ? JSON.parse(data) : [];
+  const [snapshots, coverage] = await Promise.all([
+    AsyncStorage.multiGet(fields.map(field => snapshotKey(farmerId, field.id))),
+    AsyncStorage.multiGet(fields.map(field => coverageKey(field.id))),
+  ]);
+  return fields.map((field, i) => ({
+    ...field,
+    unfinished: !!snapshots[i][1],
+    jobSessions: coverage[i][1] ? JSON.parse(coverage[i][1]).sessions.length : 0,
+  }));
+}
+
+// Stores a newly mapped field and returns it with its id
+export async function saveField(farmerId, { boundaryCoords, fieldArea, geometry }) {
+  const data = await AsyncStorage.getItem(fieldsKey(farmerId));
+  const fields = data ? JSON.parse(data) : [];
+  const field = {
+    id: `F${Date.now().toString(36)}`,
+    name: `Field ${fields.length + 1}`,
+    boundaryCoords,
+    fieldArea,
+    geometry,
+    savedAt: new Date().toISOString(),
+  };
+  await AsyncStorage.setItem(fieldsKey(farmerId), JSON.stringify([...fields, field]));
+  return field;
+}
+
+const TRACK_CHUNK = 500; // track points per stored chunk
+
+const cellsKey = (key) => `${key}:cells`;
+const chunkKey = (key, index) => `${key}:track:${index}`;
+
+// Track points already written per snapshot, so full chunks are stored once
+const savedPoints = new Map();
+let snapshotLock = Promise.resolve();
+
+// The snapshot is split so that no stored value grows with the whole
+// session: the session state, the pass counts (`cells`, in compact
+// row/column form) and the track in fixed-size chunks, of which only the
+// unfinished last one is rewritten. Saves run one at a time.
+export function saveSessionSnapshot(farmerId, fieldId, { track, cells, ...state }) {
+  const key = snapshotKey(farmerId, fieldId);
+  const run = snapshotLock.then(async () => {
+    // A shorter track than last time means a new session
+    const saved = savedPoints.get(key) || 0;
+    const first = saved <= track.length ? Math.floor(saved / TRACK_CHUNK) : 0;
+    const chunks = Math.ceil(track.length / TRACK_CHUNK);
+    const pairs = [[cellsKey(key), JSON.stringify(cells)]];
+    for (let i = first; i < chunks; i++) {
+      pairs.push([chunkKey(key, i), JSON.stringify(track.slice(i * TRACK_CHUNK, (i + 1) * TRACK_CHUNK))]);
+    }
+    pairs.push([key, JSON.stringify({ ...state, trackChunks: chunks, updatedAt: Date.now() })]);
+    await AsyncStorage.multiSet(pairs);
+    savedPoints.set(key, track.length);
+  });
+  snapshotLock = run.catch(() => {});
+  return run;
+}
+
+export async function loadSessionSnapshot(farmerId, fieldId) {
+  const key = snapshotKey(farmerId, fieldId);
+  const data = await AsyncStorage.getItem(key);
+  if (!data) return null;
+  const state = JSON.parse(data);
+  const chunkKeys = Array.from({ length: state.trackChunks || 0 }, (_, i) => chunkKey(key, i));
+  const [[, cells], ...chunks] = await AsyncStorage.multiGet([cellsKey(key), ...chunkKeys]);
+  const track = chunks.flatMap(([, chunk]) => (chunk ? JSON.parse(chunk) : []));
+  savedPoints.set(key, track.length);
+  return { ...state, cells: cells ? JSON.parse(cells) : null, track };
+}
+
+export function clearSessionSnapshot(farmerId, fieldId) {
+  const key = snapshotKey(farmerId, fieldId);
+  const run = snapshotLock.then(async () => {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove([key, ...keys.filter(k => k.startsWith(`${key}:`))]);
+    savedPoints.delete(key);
+  });
+  snapshotLock = run.catch(() => {});
+  return run;
+}
+
+// Per-field preferences that outlive individual sessions
+export async function loadFieldSettings(fieldId) {
+  const data = await AsyncStorage.getItem(settingsKey(fieldId));
+  return { ...DEFAULT_FIELD_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+}
+
+export async function updateFieldSettings(fieldId, changes) {
+  const settings = { ...(await loadFieldSettings(fieldId)), ...changes };
+  await AsyncStorage.setItem(settingsKey(fieldId), JSON.stringify(settings));
+  return settings;
+}
+
+// Coverage built up over every session of the current job on a field, kept
+// as cell rows and columns with the cell size they were recorded at.
+export async function loadFieldCoverage(fieldId) {
+  const data = await AsyncStorage.getItem(coverageKey(fieldId));
+  return data ? JSON.parse(data) : null;
+}
+
+export async function saveFieldCoverage(fieldId, coverage) {
+  await AsyncStorage.setItem(
+    coverageKey(fieldId),
+    JSON.stringify({ ...coverage, updatedAt: Date.now() })
+  );
+}
+
+export async function clearFieldCoverage(fieldId) {
+  await AsyncStorage.removeItem(coverageKey(fieldId));
+}
@@ -0,0 +1,73 @@
+import { METERS_PER_DEGREE } from './units';
+
+export const WALK_SPACING = 2; // meters between recorded auto-walk points
+export const DEFAULT_TOLERANCE = 1; // meters
+
+export const distanceMeters = (a, b) => {
+  const cosLat = Math.cos(((a.latitude + b.latitude) / 2) * Math.PI / 180);
+  return Math.hypot(
+    (b.longitude - a.longitude) * METERS_PER_DEGREE * cosLat,
+    (b.latitude - a.latitude) * METERS_PER_DEGREE
+  );
+};
+
+const segmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+};
+
+// Douglas-Peucker on projected points; returns the indices to keep.
+// Iterative so a long walk cannot overflow the stack.
+function douglasPeucker(points, tolerance) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return keep;
+}
+
+// Drops points that stray less than `tolerance` meters from the simplified
+// line. A closed ring is split at the point farthest from its start so both
+// halves have distinct end points.
+export function simplifyPath(coords, tolerance, { closed = false } = {}) {
+  if (coords.length < 3) return coords;
+  const origin = coords[0];
+  const cosLat = Math.cos(origin.latitude * Math.PI / 180);
+  const points = coords.map(({ latitude, longitude }) => [
+    (longitude - origin.longitude) * METERS_PER_DEGREE * cosLat,
+    (latitude - origin.latitude) * METERS_PER_DEGREE,
+  ]);
+
+  if (!closed) {
+    const keep = douglasPeucker(points, tolerance);
+    return coords.filter((_, i) => keep[i]);
+  }
+
+  let split = 0;
+  points.forEach(([x, y], i) => {
+    if (Math.hypot(x, y) > Math.hypot(...points[split])) split = i;
+  });
+  if (split === 0) return coords.slice(0, 1);
+  const keepFirst = douglasPeucker(points.slice(0, split + 1), tolerance);
+  const keepSecond = douglasPeucker([...points.slice(split), points[0]], tolerance);
+  return coords.filter((_, i) => (i <= split ? keepFirst[i] : keepSecond[i - split]));
+}
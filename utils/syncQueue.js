@@ -0,0 +1,207 @@
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbwoOdpKTRjgYi_g_VbqOSOx0XUPf1FbjFKw-jptAF55SS_JdLkV36R13blnePhdX60LMA/exec';
+
+const QUEUE_KEY = 'syncQueue';
+const BASE_DELAY = 15 * 1000; // first retry after 15s
+const MAX_DELAY = 30 * 60 * 1000; // never wait more than 30 min between attempts
+const SYNCED_RETENTION = 30 * 24 * 60 * 60 * 1000; // keep synced records for 30 days
+const LOOP_INTERVAL = 30 * 1000;
+const SEND_TIMEOUT = 30 * 1000; // a stalled request counts as no connection
+
+export const SYNC_STATUS = {
+  pending: 'pending',
+  failed: 'failed',
+  synced: 'synced',
+};
+
+const listeners = new Set();
+let lock = Promise.resolve();
+let processing = null;
+let rerun = null;
+
+// All reads and writes of the queue go through here so that an enqueue
+// can never be lost to a concurrent write from the sync loop.
+function withQueue(mutate) {
+  const run = lock.then(async () => {
+    const data = await AsyncStorage.getItem(QUEUE_KEY);
+    const queue = data ? JSON.parse(data) : [];
+    const result = await mutate(queue);
+    if (result && result.queue) {
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(result.queue));
+      listeners.forEach(listener => listener(result.queue));
+    }
+    return result ? result.value : undefined;
+  });
+  lock = run.catch(() => {});
+  return run;
+}
+
+const makeKey = (type) =>
+  `${type}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const backoff = (attempts) => {
+  const delay = Math.min(BASE_DELAY * Math.pow(2, attempts - 1), MAX_DELAY);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+export function getQueue() {
+  return withQueue(queue => ({ value: queue }));
+}
+
+export async function getRecord(id) {
+  const queue = await getQueue();
+  return queue.find(r => r.id === id) || null;
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Stores a record for upload and kicks off a sync attempt in the background.
+// The record id doubles as the idempotency key sent to the server, so a
+// retry after a lost response never creates a duplicate row.
+export async function enqueue(type, payload, label) {
+  const record = {
+    id: makeKey(type),
+    type,
+    label: label || type,
+    payload,
+    status: SYNC_STATUS.pending,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    syncedAt: null,
+  };
+  await withQueue(queue => ({ queue: [...queue, record], value: record }));
+  processInBackground();
+  return record;
+}
+
+export function retryNow(id) {
+  return withQueue(queue => ({
+    queue: queue.map(r => (r.id === id && r.status !== SYNC_STATUS.synced
+      ? { ...r, nextAttemptAt: Date.now() }
+      : r)),
+  })).then(processQueue);
+}
+
+// React Native sets no timeout on fetch, so without the abort one stalled
+// request would hold up the queue for good.
+async function send(record) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+  let res;
+  try {
+    res = await fetch(GOOGLE_SCRIPT_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // The type tells the server which sheet a record belongs to
+      body: JSON.stringify({ ...record.payload, type: record.type, idempotencyKey: record.id }),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    clearTimeout(timer);
+    return { offline: true, error: controller.signal.aborted ? new Error('Request timed out') : e };
+  }
+  let data;
+  try {
+    data = await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+  if (data.result !== 'success') {
+    throw new Error(data.message || 'Server rejected the record');
+  }
+  return { offline: false, error: null };
+}
+
+// The record after one upload attempt, and whether the request never
+// reached the server.
+async function attempt(record) {
+  let result;
+  try {
+    result = await send(record);
+  } catch (e) {
+    result = { offline: false, error: e };
+  }
+  if (!result.error) {
+    return {
+      updated: { ...record, status: SYNC_STATUS.synced, syncedAt: new Date().toISOString(), lastError: null },
+      offline: false,
+    };
+  }
+  // No signal is the normal case this queue is for, so only a rejection
+  // by the server marks a record failed; both retry with backoff
+  const attempts = record.attempts + 1;
+  return {
+    updated: {
+      ...record,
+      status: result.offline ? SYNC_STATUS.pending : SYNC_STATUS.failed,
+      attempts,
+      nextAttemptAt: Date.now() + backoff(attempts),
+      lastError: result.error.message,
+    },
+    offline: result.offline,
+  };
+}
+
+// Uploads every record that is due, one at a time and oldest first. A call
+// made while a run is in flight resolves after one more run, since the
+// in-flight one may have read the queue before the caller's record was added.
+export function processQueue() {
+  if (processing) {
+    if (!rerun) {
+      rerun = processing.then(() => {
+        rerun = null;
+        return processQueue();
+      });
+    }
+    return rerun;
+  }
+  processing = (async () => {
+    const queue = await getQueue();
+    const now = Date.now();
+    const due = queue.filter(r => r.status !== SYNC_STATUS.synced && r.nextAttemptAt <= now);
+    for (const record of due) {
+      try {
+        const { updated, offline } = await attempt(record);
+        await withQueue(current => ({
+          queue: current.map(r => (r.id === updated.id ? updated : r)),
+        }));
+        // Stop early when offline instead of failing every record in turn
+        if (offline) break;
+      } catch (e) {
+        console.error('Sync error:', record.id, e);
+      }
+    }
+    await withQueue(current => {
+      const cutoff = Date.now() - SYNCED_RETENTION;
+      const kept = current.filter(r => r.status !== SYNC_STATUS.synced || Date.parse(r.syncedAt) > cutoff);
+      return kept.length === current.length ? null : { queue: kept };
+    });
+  })().finally(() => {
+    processing = null;
+  });
+  return processing;
+}
+
+const processInBackground = () => {
+  processQueue().catch(e => console.error('Sync error:', e));
+};
+
+// Retries periodically and whenever the app returns to the foreground.
+export function startSyncLoop() {
+  processInBackground();
+  const interval = setInterval(processInBackground, LOOP_INTERVAL);
+  const sub = AppState.addEventListener('change', state => {
+    if (state === 'active') processInBackground();
+  });
+  return () => {
+    clearInterval(interval);
+    sub.remove();
+  };
+}
@@ -0,0 +1,5 @@
+export const SQM_PER_ACRE = 4046.8564224;
+
+// Length of a degree of latitude; a degree of longitude is this times the
+// cosine of the latitude
+export const METERS_PER_DEGREE = 111319.49;
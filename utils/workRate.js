@@ -0,0 +1,55 @@
+import { SQM_PER_ACRE } from './units';
+
+export const RATE_WINDOW_MINUTES = 10;
+
+// Tracks how fast new ground is being covered. Samples of cumulative covered
+// acres and working seconds are kept for the rolling window; the distance
+// driven while working gives the theoretical area for the efficiency figure.
+export function createWorkRate({ windowMinutes = RATE_WINDOW_MINUTES } = {}) {
+  const windowSeconds = windowMinutes * 60;
+  let samples = []; // { seconds, acres }
+  let workedDistance = 0; // meters driven while working
+
+  return {
+    addDistance(meters) {
+      workedDistance += meters;
+    },
+
+    sample(seconds, acres) {
+      samples.push({ seconds, acres });
+      // Keep one sample older than the window so it always spans the full period
+      while (samples.length > 2 && seconds - samples[1].seconds >= windowSeconds) samples.shift();
+    },
+
+    // `width` in meters, `coveredAcres` and `remainingAcres` in acres,
+    // `workedSeconds` the session's working time
+    stats({ width, coveredAcres, remainingAcres, workedSeconds }) {
+      const sessionRate = workedSeconds > 0 ? coveredAcres / (workedSeconds / 3600) : 0;
+      let recentRate = sessionRate;
+      if (samples.length >= 2) {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const span = last.seconds - first.seconds;
+        if (span > 0) recentRate = (last.acres - first.acres) / (span / 3600);
+      }
+      const theoretical = (width * workedDistance) / SQM_PER_ACRE;
+      // Prefer the recent rate for the ETA; it reflects current conditions
+      const rate = recentRate > 0 ? recentRate : sessionRate;
+      return {
+        recentRate, // acres/hour over the window
+        sessionRate, // acres/hour over the session
+        efficiency: theoretical > 0 ? Math.min(coveredAcres / theoretical, 1) : 0,
+        remainingSeconds: rate > 0 && remainingAcres > 0 ? (remainingAcres / rate) * 3600 : null,
+      };
+    },
+
+    snapshot() {
+      return { samples, workedDistance };
+    },
+
+    restore(saved) {
+      samples = saved?.samples || [];
+      workedDistance = saved?.workedDistance || 0;
+    },
+  };
+}